@@ -0,0 +1,210 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Expanding command line patterns into files, and the ignore files that
+// exclude some of them
+
+// Never worth formatting, whatever the ignore files say
+const ALWAYS_IGNORED = ['.git', '.svn', '.hg', 'node_modules'];
+
+const DEFAULT_IGNORE_FILES = ['.gitignore', '.prettierignore'];
+
+// Paths are compared with forward slashes, relative to the working directory
+function toPosix(file) {
+    return file.split(path.sep).join('/');
+}
+
+function hasMagic(pattern) {
+    return /[*?[\]{}]/.test(pattern);
+}
+
+// Glob syntax: `*` and `?` within a path segment, `**` across segments,
+// `[...]` character classes and `{a,b}` alternatives
+function globSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                const slash = glob[i + 2] === '/';
+                source += slash ? '(?:.*/)?' : '.*';
+                i += slash ? 2 : 1;
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            }
+        } else if (char === '{') {
+            const end = glob.indexOf('}', i + 1);
+            if (end === -1) {
+                source += '\\{';
+            } else {
+                source += `(?:${glob.slice(i + 1, end).split(',').map(globSource).join('|')})`;
+                i = end;
+            }
+        } else {
+            source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+function globToRegExp(glob) {
+    return new RegExp(`^${globSource(glob)}$`);
+}
+
+// Rules from gitignore-style files. The last matching rule wins, `!` rules
+// re-include, a trailing `/` only matches directories, and patterns without a
+// slash match at any depth.
+class IgnoreRules {
+    constructor() {
+        this.rules = [];
+    }
+
+    add(content) {
+        for (const rawLine of content.split(/\r?\n/)) {
+            let line = rawLine.replace(/(?<!\\)\s+$/, '');
+            if (!line || line.startsWith('#')) continue;
+
+            const negated = line.startsWith('!');
+            if (negated) line = line.slice(1);
+            line = line.replace(/^\\([#!])/, '$1');
+
+            const directoryOnly = line.endsWith('/');
+            if (directoryOnly) line = line.slice(0, -1);
+
+            const anchored = line.includes('/');
+            line = line.replace(/^\//, '');
+            if (!line) continue;
+
+            const prefix = anchored ? '^' : '^(?:.*/)?';
+            this.rules.push({
+                negated,
+                directoryOnly,
+                exact: new RegExp(`${prefix}${globSource(line)}$`),
+                // Ignoring a directory ignores everything in it
+                contents: new RegExp(`${prefix}${globSource(line)}/`)
+            });
+        }
+        return this;
+    }
+
+    ignores(relativePath, isDirectory = false) {
+        let ignored = false;
+        for (const rule of this.rules) {
+            const matches = rule.contents.test(relativePath) ||
+                (rule.exact.test(relativePath) && (!rule.directoryOnly || isDirectory));
+            if (matches) ignored = !rule.negated;
+        }
+        return ignored;
+    }
+}
+
+// Missing ignore files are fine, they are optional
+async function loadIgnoreRules(cwd, ignoreFiles = DEFAULT_IGNORE_FILES) {
+    const rules = new IgnoreRules();
+    for (const file of ignoreFiles) {
+        try {
+            rules.add(await fs.readFile(path.resolve(cwd, file), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+    return rules;
+}
+
+async function statOrNull(file) {
+    try {
+        return await fs.stat(file);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+// Resolve patterns to files, in a stable order. Directories expand to the
+// files `include` accepts, globs to every matching file, and `!pattern`
+// excludes. Explicitly named files are kept even when `include` rejects them,
+// so the caller can report them. Ignored files are dropped either way.
+async function expandPatterns(patterns, { cwd, ignore, include }) {
+    const relative = file => toPosix(path.relative(cwd, file));
+    const isIgnored = (file, isDirectory) => {
+        const name = relative(file);
+        // Files outside the working directory aren't covered by its ignore files
+        if (name.startsWith('../')) return false;
+        return name.split('/').some(segment => ALWAYS_IGNORED.includes(segment)) ||
+            ignore.ignores(name, isDirectory);
+    };
+
+    async function walk(directory, visit) {
+        const entries = await fs.readdir(directory, { withFileTypes: true });
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            const file = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                if (!isIgnored(file, true)) await walk(file, visit);
+            } else if (entry.isFile() && !isIgnored(file, false)) {
+                visit(file);
+            }
+        }
+    }
+
+    const files = new Map();
+    const excluded = [];
+    const unmatched = [];
+
+    for (const pattern of patterns) {
+        if (pattern.startsWith('!')) {
+            excluded.push(globToRegExp(toPosix(path.normalize(pattern.slice(1))).replace(/^\.\//, '')));
+            continue;
+        }
+
+        const before = files.size;
+        const absolute = path.resolve(cwd, pattern);
+        const stats = hasMagic(pattern) ? null : await statOrNull(absolute);
+
+        if (stats?.isFile()) {
+            if (!isIgnored(absolute, false)) files.set(absolute, { path: absolute, explicit: true });
+            continue;
+        }
+
+        if (stats?.isDirectory()) {
+            await walk(absolute, file => {
+                if (include(file)) files.set(file, { path: file, explicit: false });
+            });
+        } else if (hasMagic(pattern)) {
+            // Walk from the part of the pattern before the first wildcard
+            const segments = toPosix(pattern).split('/');
+            const firstMagic = segments.findIndex(hasMagic);
+            const base = path.resolve(cwd, segments.slice(0, firstMagic).join('/') || '.');
+            const matcher = globToRegExp(toPosix(path.relative(cwd, path.resolve(cwd, pattern))));
+
+            if ((await statOrNull(base))?.isDirectory()) {
+                await walk(base, file => {
+                    if (matcher.test(relative(file))) files.set(file, { path: file, explicit: false });
+                });
+            }
+        }
+
+        if (files.size === before) unmatched.push(pattern);
+    }
+
+    const selected = [...files.values()].filter(file => !excluded.some(regex => regex.test(relative(file.path))));
+    return { files: selected, unmatched };
+}
+
+module.exports = {
+    DEFAULT_IGNORE_FILES,
+    IgnoreRules,
+    loadIgnoreRules,
+    expandPatterns,
+    globToRegExp
+};
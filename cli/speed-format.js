@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { setTimeout: sleep } = require('timers/promises');
+const { SpeedFormatterClient, ApiError, DEFAULT_API_URL } = require('../client/api');
+const { DEFAULT_IGNORE_FILES, loadIgnoreRules, expandPatterns } = require('./files');
+const { version } = require('../package.json');
+
+// Formats local files through the API, with Prettier-style flags
+
+const EXIT_OK = 0;
+// --check or --list-different found files that aren't formatted
+const EXIT_UNFORMATTED = 1;
+// Bad usage, unreadable files, syntax errors or API failures
+const EXIT_ERROR = 2;
+
+const CONFIG_FILE = '.speed-formatter.json';
+
+// Stay under the batch endpoint's file count and request body limits
+const MAX_BATCH_FILES = 500;
+const MAX_BATCH_BYTES = 8 * 1024 * 1024;
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+const USAGE = `Usage: speed-format [options] [file/dir/glob ...]
+
+Formats files through the Speed Formatter API. Without --write, --check or
+--list-different the formatted output is printed.
+
+Options:
+  -w, --write             Edit files in place
+  -c, --check             Check whether files are formatted
+  -l, --list-different    Print the files that aren't formatted
+      --ignore-path <path>  Ignore file to read, repeatable
+                          (default: ${DEFAULT_IGNORE_FILES.join(', ')})
+      --profile <name>    Formatting profile to use
+      --config <path>     Settings file (default: nearest ${CONFIG_FILE}, then ~/${CONFIG_FILE})
+      --url <url>         API URL (default: ${DEFAULT_API_URL})
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+The API key comes from SPEED_FORMATTER_API_KEY or "apiKey" in the settings file.
+
+Exit codes: 0 success, 1 unformatted files found, 2 errors.`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+function parseCommandLine(argv) {
+    try {
+        return parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                write: { type: 'boolean', short: 'w' },
+                check: { type: 'boolean', short: 'c' },
+                'list-different': { type: 'boolean', short: 'l' },
+                'ignore-path': { type: 'string', multiple: true },
+                profile: { type: 'string' },
+                config: { type: 'string' },
+                url: { type: 'string' },
+                help: { type: 'boolean', short: 'h' },
+                version: { type: 'boolean', short: 'v' }
+            }
+        });
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new UsageError(`Could not read settings from ${file}: ${error.message}`);
+    }
+}
+
+// Settings file in the project (or its parents) over the one in the home
+// directory, the environment and flags over both
+async function loadSettings(cwd, values) {
+    let settings = {};
+    if (values.config) {
+        settings = await readJson(path.resolve(cwd, values.config));
+        if (!settings) throw new UsageError(`Settings file ${values.config} not found`);
+    } else {
+        const home = await readJson(path.join(os.homedir(), CONFIG_FILE)) || {};
+        let project = null;
+        for (let directory = cwd; !project; directory = path.dirname(directory)) {
+            project = await readJson(path.join(directory, CONFIG_FILE));
+            if (directory === path.dirname(directory)) break;
+        }
+        settings = { ...home, ...project };
+    }
+
+    return {
+        ...settings,
+        apiKey: process.env.SPEED_FORMATTER_API_KEY || settings.apiKey,
+        url: values.url || process.env.SPEED_FORMATTER_URL || settings.url || DEFAULT_API_URL,
+        profile: values.profile || settings.profile
+    };
+}
+
+// Longest extension first, so `.component.html` wins over `.html`
+function extensionMatcher(languages) {
+    const extensions = languages
+        .flatMap(({ language, extensions }) => extensions.map(extension => [extension.toLowerCase(), language]))
+        .sort((a, b) => b[0].length - a[0].length);
+
+    return file => {
+        const name = path.basename(file).toLowerCase();
+        return extensions.find(([extension]) => name.endsWith(extension))?.[1] || null;
+    };
+}
+
+// A file as the batch endpoint takes it
+function batchEntry({ path: name, language, code }) {
+    return { path: name, language, code };
+}
+
+// Group files into batch requests. Sizes are measured as sent, JSON escaping
+// can nearly double the size of code.
+function batches(files, { maxFiles = MAX_BATCH_FILES, maxBytes = MAX_BATCH_BYTES } = {}) {
+    const groups = [];
+    let current = [];
+    let bytes = 0;
+    for (const file of files) {
+        const size = Buffer.byteLength(JSON.stringify(batchEntry(file)));
+        if (current.length > 0 && (current.length >= maxFiles || bytes + size > maxBytes)) {
+            groups.push(current);
+            current = [];
+            bytes = 0;
+        }
+        current.push(file);
+        bytes += size;
+    }
+    if (current.length > 0) groups.push(current);
+    return groups;
+}
+
+// Rate limited batches wait for the limit to reset, other failures end the run
+async function formatBatch(client, body) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await client.formatBatch(body);
+        } catch (error) {
+            const rateLimited = error instanceof ApiError && error.status === 429 && error.retryAfter !== null;
+            if (!rateLimited || attempt >= MAX_RATE_LIMIT_RETRIES) throw error;
+            console.error(`Rate limited, retrying in ${error.retryAfter}s`);
+            await sleep(error.retryAfter * 1000);
+        }
+    }
+}
+
+function reportFileError(name, result) {
+    const [diagnostic] = result.diagnostics || [];
+    if (diagnostic) {
+        console.error(`[error] ${name}: ${result.error}: ${diagnostic.message} (${diagnostic.line}:${diagnostic.column})`);
+        for (const line of (diagnostic.code_frame || '').split('\n').filter(Boolean)) {
+            console.error(`[error] ${line}`);
+        }
+    } else {
+        console.error(`[error] ${name}: ${result.error}${result.details ? `: ${result.details}` : ''}`);
+    }
+}
+
+async function run(argv, { cwd = process.cwd() } = {}) {
+    const { values, positionals } = parseCommandLine(argv);
+
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT_OK;
+    }
+    if (values.version) {
+        console.log(version);
+        return EXIT_OK;
+    }
+    if (positionals.length === 0) {
+        throw new UsageError('No files given, run speed-format --help for usage');
+    }
+    if (values.check && values['list-different']) {
+        throw new UsageError('Use either --check or --list-different');
+    }
+
+    const settings = await loadSettings(cwd, values);
+    const client = new SpeedFormatterClient({
+        url: settings.url,
+        apiKey: settings.apiKey,
+        userAgent: `speed-format/${version}`
+    });
+
+    const startTime = Date.now();
+    const languageFor = extensionMatcher(await client.languages());
+    const ignore = await loadIgnoreRules(cwd, values['ignore-path'] || DEFAULT_IGNORE_FILES);
+    const { files, unmatched } = await expandPatterns(positionals, {
+        cwd,
+        ignore,
+        include: file => languageFor(file) !== null
+    });
+
+    let errors = 0;
+    for (const pattern of unmatched) {
+        console.error(`[error] No files matching the pattern were found: "${pattern}".`);
+        errors++;
+    }
+
+    const inputs = [];
+    for (const file of files) {
+        const name = path.relative(cwd, file.path) || file.path;
+        const language = languageFor(file.path);
+        if (!language) {
+            console.error(`[error] No language could be inferred for file: ${name}`);
+            errors++;
+            continue;
+        }
+        try {
+            inputs.push({ path: name, language, code: await fs.readFile(file.path, 'utf8'), file: file.path });
+        } catch (error) {
+            console.error(`[error] Unable to read file: ${name}: ${error.message}`);
+            errors++;
+        }
+    }
+
+    const listing = values.check || values['list-different'];
+    if (values.check) console.error('Checking formatting...');
+
+    // The API rejects empty input, there is nothing to format in it anyway
+    const toFormat = inputs.filter(input => input.code.length > 0);
+    let unformatted = 0;
+    let formatted = 0;
+    let serverTime = 0;
+    let quota = null;
+
+    for (const group of batches(toFormat)) {
+        const response = await formatBatch(client, {
+            files: group.map(batchEntry),
+            ...(settings.profile && { profile: settings.profile }),
+            ...(settings.options && { options: settings.options })
+        });
+        serverTime += response.execution_time_ms;
+        quota = response.quota || quota;
+
+        for (const [index, result] of response.results.entries()) {
+            const input = group[index];
+            if (result.status !== 'success') {
+                reportFileError(input.path, result);
+                errors++;
+                continue;
+            }
+
+            formatted++;
+            const changed = result.formatted_code !== input.code;
+            if (changed) unformatted++;
+
+            if (values.write && changed) {
+                await fs.writeFile(input.file, result.formatted_code);
+            }
+
+            if (values.check) {
+                if (changed) console.error(`[warn] ${input.path}`);
+            } else if (values['list-different']) {
+                if (changed) console.log(input.path);
+            } else if (values.write) {
+                console.log(`${input.path} ${result.execution_time_ms}ms${changed ? '' : ' (unchanged)'}`);
+            } else {
+                process.stdout.write(result.formatted_code);
+            }
+        }
+    }
+
+    if (values.check && unformatted === 0 && errors === 0) {
+        console.error('All matched files use Speed Formatter code style!');
+    } else if (values.check && unformatted > 0) {
+        console.error(values.write
+            ? `[warn] Code style issues fixed in ${unformatted} file${unformatted === 1 ? '' : 's'}.`
+            : `[warn] Code style issues found in ${unformatted} file${unformatted === 1 ? '' : 's'}. Run speed-format --write to fix.`);
+    }
+
+    const count = `${formatted} file${formatted === 1 ? '' : 's'}`;
+    console.error(`${listing ? 'Checked' : 'Formatted'} ${count} in ${Date.now() - startTime}ms (${serverTime}ms on the server)`);
+    if (quota) {
+        console.error(`Quota: ${quota.current_usage}/${quota.monthly_limit} formats used this month, ${quota.remaining} remaining`);
+    }
+
+    if (errors > 0) return EXIT_ERROR;
+    if (listing && unformatted > 0 && !values.write) return EXIT_UNFORMATTED;
+    return EXIT_OK;
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            if (error instanceof UsageError || error instanceof ApiError) {
+                console.error(`[error] ${error.message}`);
+            } else {
+                console.error(error);
+            }
+            process.exitCode = EXIT_ERROR;
+        });
+}
+
+module.exports = {
+    run,
+    batches,
+    EXIT_OK,
+    EXIT_UNFORMATTED,
+    EXIT_ERROR
+};
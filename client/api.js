@@ -0,0 +1,117 @@
+// Minimal client for the formatting API, shared by the editor and command line tools
+
+const DEFAULT_API_URL = 'https://speedformatter.com';
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+// An error response from the API, or a request that never got one
+class ApiError extends Error {
+    constructor(status, body, { retryAfter = null } = {}) {
+        super(body.details && typeof body.details === 'string'
+            ? `${body.error}: ${body.details}`
+            : body.error);
+        this.name = 'ApiError';
+        this.status = status;
+        this.error = body.error;
+        this.details = body.details;
+        this.diagnostics = body.diagnostics || [];
+        // Seconds until a rate limited request may be retried
+        this.retryAfter = retryAfter;
+    }
+}
+
+class SpeedFormatterClient {
+    constructor({ url = DEFAULT_API_URL, apiKey, timeoutMs = DEFAULT_TIMEOUT_MS, userAgent = 'speed-formatter-client' } = {}) {
+        this.url = url.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.timeoutMs = timeoutMs;
+        this.userAgent = userAgent;
+    }
+
+    // Settings from the environment, for tools started outside an editor
+    static fromEnv(overrides = {}) {
+        return new SpeedFormatterClient({
+            url: process.env.SPEED_FORMATTER_URL || DEFAULT_API_URL,
+            apiKey: process.env.SPEED_FORMATTER_API_KEY,
+            ...overrides
+        });
+    }
+
+    async format(body, { signal } = {}) {
+        return this.request('POST', '/api/v1/format', body, { signal });
+    }
+
+    async formatBatch(body, { signal } = {}) {
+        return this.request('POST', '/api/v1/format/batch', body, { signal });
+    }
+
+    // Doesn't need an API key
+    async languages() {
+        const { languages } = await this.request('GET', '/api/v1/languages', null, { auth: false });
+        return languages;
+    }
+
+    async request(method, path, body, { signal, auth = true } = {}) {
+        if (auth && !this.apiKey) {
+            throw new ApiError(null, {
+                error: 'API key required',
+                details: 'Set SPEED_FORMATTER_API_KEY or configure an API key'
+            });
+        }
+
+        // The caller's signal cancels, the timeout gives up on a hung server
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort);
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeoutMs);
+
+        let response;
+        let text;
+        try {
+            response = await fetch(`${this.url}${path}`, {
+                method,
+                headers: {
+                    'content-type': 'application/json',
+                    'user-agent': this.userAgent,
+                    ...(auth && { 'x-api-key': this.apiKey })
+                },
+                body: body && JSON.stringify(body),
+                signal: controller.signal
+            });
+            text = await response.text();
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            throw new ApiError(null, {
+                error: 'Service unreachable',
+                details: timedOut
+                    ? `No response from ${this.url} within ${this.timeoutMs}ms`
+                    : `Could not connect to ${this.url}: ${error.cause?.message || error.message}`
+            });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            data = { error: `Unexpected response (HTTP ${response.status})`, details: text.slice(0, 200) };
+        }
+
+        if (!response.ok) {
+            const retryAfter = parseInt(response.headers.get('retry-after'));
+            throw new ApiError(response.status, data, { retryAfter: Number.isNaN(retryAfter) ? null : retryAfter });
+        }
+        return data;
+    }
+}
+
+module.exports = {
+    SpeedFormatterClient,
+    ApiError,
+    DEFAULT_API_URL
+};
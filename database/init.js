@@ -31,35 +31,65 @@ class Database {
             
             if (tableExists) {
                 console.log('✅ Database tables already exist, skipping schema initialization');
-                return;
-            }
-            
-            const schemaSQL = await fs.readFile(path.join(__dirname, 'schema.sql'), 'utf8');
-            
-            // Split schema into individual statements and execute them
-            const statements = schemaSQL
-                .split(';')
-                .map(stmt => stmt.trim())
-                .filter(stmt => stmt.length > 0);
-
-            for (const statement of statements) {
-                try {
-                    await this.run(statement);
-                } catch (error) {
-                    // Skip errors for statements that might already exist
-                    if (!error.message.includes('already exists')) {
-                        throw error;
-                    }
-                }
+            } else {
+                const schemaSQL = await fs.readFile(path.join(__dirname, 'schema.sql'), 'utf8');
+                await this.executeScript(schemaSQL);
+                console.log('✅ Database schema initialized successfully');
             }
-            
-            console.log('✅ Database schema initialized successfully');
+
+            await this.runMigrations();
         } catch (error) {
             console.error('❌ Error initializing schema:', error);
             throw error;
         }
     }
 
+    // Apply pending migrations from database/migrations in filename order
+    async runMigrations() {
+        await this.run(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                name TEXT PRIMARY KEY,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const migrationsDir = path.join(__dirname, 'migrations');
+        const files = (await fs.readdir(migrationsDir))
+            .filter(file => file.endsWith('.sql'))
+            .sort();
+
+        const applied = await this.all('SELECT name FROM schema_migrations');
+        const appliedNames = new Set(applied.map(row => row.name));
+
+        for (const file of files) {
+            if (appliedNames.has(file)) continue;
+
+            const migrationSQL = await fs.readFile(path.join(migrationsDir, file), 'utf8');
+            await this.executeScript(migrationSQL);
+            await this.run('INSERT INTO schema_migrations (name) VALUES (?)', [file]);
+            console.log(`✅ Applied migration ${file}`);
+        }
+    }
+
+    async executeScript(sql) {
+        // Split script into individual statements and execute them
+        const statements = sql
+            .split(';')
+            .map(stmt => stmt.trim())
+            .filter(stmt => stmt.length > 0);
+
+        for (const statement of statements) {
+            try {
+                await this.run(statement);
+            } catch (error) {
+                // Skip errors for statements that might already exist
+                if (!error.message.includes('already exists')) {
+                    throw error;
+                }
+            }
+        }
+    }
+
     async run(sql, params = []) {
         return new Promise((resolve, reject) => {
             this.db.run(sql, params, function(err) {
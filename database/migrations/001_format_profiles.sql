@@ -0,0 +1,17 @@
+-- Saved formatting profiles
+
+CREATE TABLE format_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    options TEXT NOT NULL DEFAULT '{}', -- JSON, applied to every language
+    language_options TEXT NOT NULL DEFAULT '{}', -- JSON, keyed by language
+    is_default BOOLEAN DEFAULT false,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, name),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_format_profiles_user ON format_profiles(user_id);
@@ -0,0 +1,14 @@
+-- Optional persistent tier of the formatting result cache
+
+CREATE TABLE format_cache (
+    key TEXT PRIMARY KEY, -- sha256 of code, language, formatter version and options
+    language TEXT NOT NULL,
+    result TEXT NOT NULL, -- JSON formatting result
+    size INTEGER NOT NULL,
+    hits INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_hit_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_format_cache_last_hit ON format_cache(last_hit_at);
+CREATE INDEX idx_format_cache_language ON format_cache(language);
@@ -0,0 +1,22 @@
+-- Formatter quality events, e.g. output that changes when formatted again
+
+CREATE TABLE formatter_quality_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    event TEXT NOT NULL, -- unstable_output or second_pass_failed
+    language TEXT NOT NULL,
+    formatter_used TEXT NOT NULL,
+    formatter_version TEXT,
+    options TEXT NOT NULL DEFAULT '{}', -- JSON, effective formatter options
+    input_hash TEXT NOT NULL, -- sha256 of the input, groups repeats of the same input
+    input TEXT, -- kept for reproduction unless it is very large
+    input_length INTEGER NOT NULL,
+    diff TEXT, -- first pass output against second pass output
+    details TEXT,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_quality_events_language ON formatter_quality_events(language);
+CREATE INDEX idx_quality_events_created ON formatter_quality_events(created_at);
+CREATE INDEX idx_quality_events_input ON formatter_quality_events(input_hash);
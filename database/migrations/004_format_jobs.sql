@@ -0,0 +1,39 @@
+-- Asynchronous formatting jobs and their per-file results
+
+CREATE TABLE format_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT UNIQUE NOT NULL, -- public job id
+    user_id INTEGER NOT NULL,
+    api_key_id INTEGER,
+    status TEXT NOT NULL DEFAULT 'queued', -- queued, running, completed or failed
+    request TEXT NOT NULL, -- JSON, files and settings as submitted
+    total_files INTEGER NOT NULL,
+    processed_files INTEGER NOT NULL DEFAULT 0,
+    succeeded_files INTEGER NOT NULL DEFAULT 0,
+    summary TEXT, -- JSON, set when the job completes
+    error TEXT,
+    callback_url TEXT,
+    callback_status TEXT, -- pending, delivered or failed
+    callback_attempts INTEGER NOT NULL DEFAULT 0,
+    callback_error TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    completed_at DATETIME,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE SET NULL
+);
+
+-- One row per processed file, so an interrupted job resumes where it stopped
+CREATE TABLE format_job_results (
+    job_id INTEGER NOT NULL,
+    file_index INTEGER NOT NULL,
+    status TEXT NOT NULL, -- success or error
+    result TEXT NOT NULL, -- JSON, same shape as a batch result
+    PRIMARY KEY (job_id, file_index),
+    FOREIGN KEY (job_id) REFERENCES format_jobs(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_format_jobs_user ON format_jobs(user_id, created_at);
+CREATE INDEX idx_format_jobs_status ON format_jobs(status);
+CREATE INDEX idx_format_jobs_expires ON format_jobs(expires_at);
@@ -0,0 +1,3 @@
+-- Webhook deliveries no longer keep response bodies, drop the ones already stored
+
+UPDATE webhook_deliveries SET response_body = NULL;
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+// JSON with sorted object keys so equal options always hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+// Cache of formatting results keyed by a hash of everything that affects the
+// output. Recently used results live in memory; the optional SQLite tier keeps
+// them across restarts and is promoted into memory on a hit.
+class FormatCache {
+    constructor({ maxEntries = 1000, maxBytes = 64 * 1024 * 1024, db = null, maxDbEntries = 10000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.db = db;
+        this.maxDbEntries = maxDbEntries;
+
+        this.entries = new Map();
+        this.bytes = 0;
+        this.dbWrites = 0;
+        this.counters = { hits: 0, memory_hits: 0, sqlite_hits: 0, misses: 0, stores: 0, evictions: 0 };
+    }
+
+    key({ code, language, formatter, version, options, range = null, cursorOffset = null, organizeImports = null, codeBlocks = null, lineEndings = 'auto' }) {
+        return crypto.createHash('sha256')
+            .update(stableStringify({ language, formatter, version, options, range, cursorOffset, organizeImports, codeBlocks, lineEndings }))
+            .update('\0')
+            .update(code)
+            .digest('hex');
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            // Re-insert to mark as most recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            this.counters.hits++;
+            this.counters.memory_hits++;
+            return entry.result;
+        }
+
+        if (this.db) {
+            try {
+                const row = await this.db.get('SELECT language, result FROM format_cache WHERE key = ?', [key]);
+                if (row) {
+                    await this.db.run('UPDATE format_cache SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP WHERE key = ?', [key]);
+                    const result = JSON.parse(row.result);
+                    this.remember(key, row.language, result, row.result.length);
+                    this.counters.hits++;
+                    this.counters.sqlite_hits++;
+                    return result;
+                }
+            } catch (error) {
+                console.error('Format cache read error:', error.message);
+            }
+        }
+
+        this.counters.misses++;
+        return null;
+    }
+
+    async set(key, language, result) {
+        const serialized = JSON.stringify(result);
+        this.remember(key, language, result, serialized.length);
+        this.counters.stores++;
+
+        if (this.db) {
+            try {
+                await this.db.run(`
+                    INSERT OR REPLACE INTO format_cache (key, language, result, size)
+                    VALUES (?, ?, ?, ?)
+                `, [key, language, serialized, serialized.length]);
+
+                // Trim the oldest rows now and then rather than on every write
+                if (++this.dbWrites % 100 === 0) {
+                    await this.db.run(`
+                        DELETE FROM format_cache WHERE key IN (
+                            SELECT key FROM format_cache ORDER BY last_hit_at DESC LIMIT -1 OFFSET ?
+                        )
+                    `, [this.maxDbEntries]);
+                }
+            } catch (error) {
+                console.error('Format cache write error:', error.message);
+            }
+        }
+    }
+
+    remember(key, language, result, size) {
+        // Results bigger than the whole memory budget only go to SQLite
+        if (size > this.maxBytes) return;
+
+        const existing = this.entries.get(key);
+        if (existing) {
+            this.entries.delete(key);
+            this.bytes -= existing.size;
+        }
+        this.entries.set(key, { language, result, size });
+        this.bytes += size;
+
+        for (const [oldestKey, oldest] of this.entries) {
+            if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+            this.entries.delete(oldestKey);
+            this.bytes -= oldest.size;
+            this.counters.evictions++;
+        }
+    }
+
+    async purge({ language } = {}) {
+        let removed = 0;
+        if (language) {
+            for (const [key, entry] of this.entries) {
+                if (entry.language !== language) continue;
+                this.entries.delete(key);
+                this.bytes -= entry.size;
+                removed++;
+            }
+        } else {
+            removed = this.entries.size;
+            this.entries.clear();
+            this.bytes = 0;
+        }
+
+        let sqliteRemoved = 0;
+        if (this.db) {
+            const result = language
+                ? await this.db.run('DELETE FROM format_cache WHERE language = ?', [language])
+                : await this.db.run('DELETE FROM format_cache');
+            sqliteRemoved = result.changes;
+        }
+
+        return { memory_entries_removed: removed, sqlite_entries_removed: sqliteRemoved };
+    }
+
+    async stats() {
+        const lookups = this.counters.hits + this.counters.misses;
+        const stats = {
+            ...this.counters,
+            hit_rate: lookups === 0 ? 0 : Math.round((this.counters.hits / lookups) * 1000) / 1000,
+            memory: {
+                entries: this.entries.size,
+                max_entries: this.maxEntries,
+                bytes: this.bytes,
+                max_bytes: this.maxBytes
+            },
+            sqlite: null
+        };
+
+        if (this.db) {
+            const row = await this.db.get('SELECT COUNT(*) AS entries, COALESCE(SUM(size), 0) AS bytes FROM format_cache');
+            stats.sqlite = { entries: row.entries, bytes: row.bytes, max_entries: this.maxDbEntries };
+        }
+        return stats;
+    }
+}
+
+module.exports = FormatCache;
@@ -0,0 +1,119 @@
+const { FormatSyntaxError, toDiagnostics } = require('./diagnostics');
+const { mapCursorThroughEdits } = require('./cursor');
+
+// Format the fenced code blocks of a Markdown document with the registry's
+// formatter for each fence's language. A block that can't be formatted is
+// left as written and reported, it never fails the document.
+
+const OPENING_FENCE = /^(`{3,}|~{3,})/;
+// The closing fence line also carries the indentation or blockquote markers
+// every line of the block is prefixed with
+const CLOSING_FENCE = /^([ \t>]*)(`{3,}|~{3,})[ \t]*$/;
+
+function findFences(node, fences = []) {
+    if (node.type === 'code') fences.push(node);
+    for (const child of node.children || []) findFences(child, fences);
+    return fences;
+}
+
+// "rust,ignore" and "js{1,3}" name the language before the attributes
+function fenceLanguage(info) {
+    return info ? info.split(/[,{]/)[0].trim() : '';
+}
+
+// Positions in a block's diagnostics point into the whole document
+function documentDiagnostics(error, code, { line, prefix }) {
+    const shift = position => position && {
+        line: position.line + line,
+        column: position.column + prefix.length
+    };
+    const located = new FormatSyntaxError(error.message, {
+        start: shift(error.loc.start),
+        ...(error.loc.end && { end: shift(error.loc.end) })
+    });
+    return toDiagnostics(located, code);
+}
+
+async function formatBlock(code, fence, index, registry, requestedOptions) {
+    const start = fence.position.start.offset;
+    const end = fence.position.end.offset;
+    const lines = code.slice(start, end).split('\n');
+    const report = { index, language: fenceLanguage(fence.lang) || null, line: fence.position.start.line };
+
+    const closing = lines.length > 1 ? lines[lines.length - 1].match(CLOSING_FENCE) : null;
+    if (!closing) {
+        return { report: { ...report, status: 'skipped', details: 'Code fence is not closed' } };
+    }
+    if (!report.language) {
+        return { report: { ...report, status: 'skipped', details: 'Code fence has no language' } };
+    }
+
+    const formatter = registry.get(report.language);
+    if (!formatter) {
+        return { report: { ...report, status: 'skipped', details: `No formatter for '${report.language}'` } };
+    }
+    report.language = formatter.language;
+
+    const prefix = closing[1];
+    const contentStart = start + lines[0].length + 1;
+    const contentEnd = end - lines[lines.length - 1].length;
+    if (contentStart >= contentEnd) {
+        return { report: { ...report, status: 'unchanged' } };
+    }
+
+    try {
+        const result = await registry.format(fence.value, formatter.language, requestedOptions);
+        const text = result.formatted_code.replace(/\n+$/, '')
+            .split('\n')
+            .map(line => (line ? prefix + line : prefix.trimEnd()))
+            .join('\n') + '\n';
+        const changed = text !== code.slice(contentStart, contentEnd);
+
+        return {
+            report: { ...report, status: changed ? 'formatted' : 'unchanged', formatter_used: result.formatter_used },
+            edit: changed ? { start: contentStart, end: contentEnd, text } : null
+        };
+    } catch (error) {
+        if (error instanceof FormatSyntaxError) {
+            return {
+                report: {
+                    ...report,
+                    status: 'error',
+                    error: 'Syntax error',
+                    details: error.message,
+                    diagnostics: documentDiagnostics(error, code, { line: fence.position.start.line, prefix })
+                }
+            };
+        }
+        return { report: { ...report, status: 'error', error: 'Formatting failed', details: error.message } };
+    }
+}
+
+// Returns the document with its blocks formatted, a report per fenced block
+// and the cursor moved along with the edits
+async function formatCodeBlocks(code, registry, requestedOptions, cursorOffset) {
+    const { parsers } = require('prettier/plugins/markdown');
+    const ast = await parsers.markdown.parse(code, {});
+    const fences = findFences(ast).filter(fence => OPENING_FENCE.test(code.slice(fence.position.start.offset).trimStart()));
+
+    const blocks = [];
+    const edits = [];
+    for (const [index, fence] of fences.entries()) {
+        const { report, edit } = await formatBlock(code, fence, index, registry, requestedOptions);
+        blocks.push(report);
+        if (edit) edits.push(edit);
+    }
+
+    let formatted = code;
+    for (const edit of [...edits].reverse()) {
+        formatted = formatted.slice(0, edit.start) + edit.text + formatted.slice(edit.end);
+    }
+
+    return {
+        code: formatted,
+        blocks,
+        cursorOffset: cursorOffset === undefined ? undefined : mapCursorThroughEdits(cursorOffset, edits)
+    };
+}
+
+module.exports = { formatCodeBlocks };
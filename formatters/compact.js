@@ -0,0 +1,270 @@
+const { syntaxErrorFrom } = require('./diagnostics');
+const prettier = require('prettier');
+const { sourceVersion } = require('./version');
+
+// Output depends on this code and on Prettier's parsers
+const COMPACT_VERSION = `${sourceVersion(__filename)}+prettier@${prettier.version}`;
+
+// Compact style: the opposite of pretty printing. Comments and insignificant
+// whitespace are removed while the input's meaning stays the same. Inputs are
+// parsed with Prettier's parsers first so syntax errors are reported the same
+// way as in pretty mode.
+
+const PARSER_PLUGINS = {
+    json: 'prettier/plugins/babel',
+    json5: 'prettier/plugins/babel',
+    jsonc: 'prettier/plugins/babel',
+    babel: 'prettier/plugins/babel',
+    css: 'prettier/plugins/postcss'
+};
+
+async function parse(code, parser) {
+    const plugin = require(PARSER_PLUGINS[parser]);
+    try {
+        return await plugin.parsers[parser].parse(code, {});
+    } catch (error) {
+        throw syntaxErrorFrom(error) || error;
+    }
+}
+
+const isWhitespace = char => /\s/.test(char);
+const isWordChar = char => char !== undefined && (/[\w$\\#]/.test(char) || char.charCodeAt(0) > 127);
+
+// End of the quoted string starting at `start`, escapes included
+function stringEnd(code, start) {
+    const quote = code[start];
+    let i = start + 1;
+    while (i < code.length && code[i] !== quote) {
+        i += code[i] === '\\' ? 2 : 1;
+    }
+    return i + 1;
+}
+
+function commentEnd(code, start) {
+    if (code[start + 1] === '/') {
+        const newline = code.indexOf('\n', start);
+        return newline === -1 ? code.length : newline;
+    }
+    const close = code.indexOf('*/', start + 2);
+    return close === -1 ? code.length : close + 2;
+}
+
+// JSON has no whitespace that matters outside strings
+function compactJson(code) {
+    let output = '';
+    let i = 0;
+    while (i < code.length) {
+        const char = code[i];
+        if (char === '"' || char === "'") {
+            const end = stringEnd(code, i);
+            output += code.slice(i, end);
+            i = end;
+        } else if (char === '/' && (code[i + 1] === '/' || code[i + 1] === '*')) {
+            i = commentEnd(code, i);
+        } else {
+            if (!isWhitespace(char)) output += char;
+            i++;
+        }
+    }
+    return output;
+}
+
+// CSS keeps a single space where whitespace separates values or selectors,
+// except next to punctuation that doesn't need it. Spaces before `(` and
+// around `+`/`-` are kept: `and (min-width...)` and `calc(1px + 2px)` need them.
+const CSS_NO_SPACE_BEFORE = new Set(['{', '}', ';', ',', '>', '~', ')']);
+const CSS_NO_SPACE_AFTER = new Set(['{', '}', ';', ',', '>', '~', ':', '(']);
+
+function compactCss(code) {
+    let output = '';
+    let space = false;
+    let i = 0;
+
+    const emit = text => {
+        const last = output[output.length - 1];
+        if (space && output && !CSS_NO_SPACE_AFTER.has(last) && !CSS_NO_SPACE_BEFORE.has(text[0])) {
+            output += ' ';
+        }
+        space = false;
+        output += text;
+    };
+
+    while (i < code.length) {
+        const char = code[i];
+        if (char === '"' || char === "'") {
+            const end = stringEnd(code, i);
+            emit(code.slice(i, end));
+            i = end;
+        } else if (char === '/' && code[i + 1] === '*') {
+            i = commentEnd(code, i);
+            space = true;
+        } else if (char === '\\') {
+            // Escapes, including escaped whitespace, are part of the name
+            emit(code.slice(i, i + 2));
+            i += 2;
+        } else if (isWhitespace(char)) {
+            space = true;
+            i++;
+        } else if (/^url\(/i.test(code.slice(i, i + 4)) && !/["']/.test(code.slice(i + 4).trimStart()[0])) {
+            const end = code.indexOf(')', i);
+            emit(code.slice(i, end === -1 ? code.length : end + 1).replace(/\(\s+|\s+\)$/g, match => match.trim()));
+            i = end === -1 ? code.length : end + 1;
+        } else {
+            // The last declaration of a block needs no semicolon
+            if (char === '}' && output.endsWith(';')) output = output.slice(0, -1);
+            emit(char);
+            i++;
+        }
+    }
+    return output;
+}
+
+// Statements that end at a semicolon, which may have been left to automatic
+// semicolon insertion. Compact output puts those semicolons back.
+const SEMICOLON_STATEMENTS = new Set([
+    'ExpressionStatement', 'VariableDeclaration', 'ReturnStatement', 'ThrowStatement',
+    'BreakStatement', 'ContinueStatement', 'DoWhileStatement', 'DebuggerStatement',
+    'ImportDeclaration', 'ExportNamedDeclaration', 'ExportDefaultDeclaration', 'ExportAllDeclaration',
+    'ClassProperty', 'ClassPrivateProperty', 'ClassAccessorProperty', 'Directive', 'TypeAlias', 'OpaqueType'
+]);
+const FOR_STATEMENTS = new Set(['ForStatement', 'ForInStatement', 'ForOfStatement']);
+
+// Source ranges copied as written (strings, regular expressions, template text,
+// JSX text) and the offsets that need a semicolon
+function scanProgram(ast) {
+    const verbatim = [];
+    const semicolons = new Set();
+
+    const visit = (node, parent) => {
+        if (Array.isArray(node)) {
+            node.forEach(child => visit(child, parent));
+            return;
+        }
+        if (!node || typeof node.type !== 'string') return;
+
+        // Empty template chunks (`${a}`) have nothing to copy
+        const copied = ['StringLiteral', 'DirectiveLiteral', 'RegExpLiteral', 'TemplateElement', 'JSXText'].includes(node.type);
+        if (copied && node.end > node.start) {
+            verbatim.push([node.start, node.end]);
+        }
+
+        const endsStatement = SEMICOLON_STATEMENTS.has(node.type) &&
+            !(node.type === 'VariableDeclaration' && FOR_STATEMENTS.has(parent?.type)) &&
+            !(node.type === 'ExportNamedDeclaration' && node.declaration) &&
+            !(node.type === 'ExportDefaultDeclaration' && /Declaration$/.test(node.declaration.type));
+        if (endsStatement) semicolons.add(node.end);
+
+        for (const [key, value] of Object.entries(node)) {
+            if (key !== 'loc' && key !== 'extra' && value && typeof value === 'object') visit(value, node);
+        }
+    };
+    visit(ast.program);
+
+    return {
+        verbatim: new Map(verbatim.map(([start, end]) => [start, end])),
+        semicolons,
+        comments: new Map(ast.comments.map(comment => [comment.start, comment.end]))
+    };
+}
+
+// Characters that would join into a different token without a space between them
+function needsSpace(before, after, { verbatimBefore, verbatimAfter }) {
+    if (before === undefined) return false;
+    if (isWordChar(before) && isWordChar(after)) return true;
+    if ((verbatimBefore && isWordChar(after)) || (verbatimAfter && isWordChar(before))) return true;
+    if (/\d/.test(before) && after === '.') return true;
+    return ['++', '--', '//', '/*', '<!'].includes(before + after);
+}
+
+function nextSignificant(code, index, comments) {
+    let i = index;
+    while (i < code.length) {
+        if (comments.has(i)) i = comments.get(i);
+        else if (isWhitespace(code[i])) i++;
+        else return code[i];
+    }
+    return undefined;
+}
+
+function compactScript(code, ast) {
+    const { verbatim, semicolons, comments } = scanProgram(ast);
+    let output = '';
+    let space = false;
+    let lastVerbatim = false;
+    let i = 0;
+
+    // A hashbang line stays, it is only valid on the first line
+    if (code.startsWith('#!')) {
+        const newline = code.indexOf('\n');
+        output = newline === -1 ? code : code.slice(0, newline + 1);
+        i = newline === -1 ? code.length : newline + 1;
+        comments.delete(0);
+    }
+
+    const emit = (text, isVerbatim) => {
+        if (space && needsSpace(output[output.length - 1], text[0], { verbatimBefore: lastVerbatim, verbatimAfter: isVerbatim })) {
+            output += ' ';
+        }
+        space = false;
+        lastVerbatim = isVerbatim;
+        output += text;
+    };
+
+    while (i <= code.length) {
+        if (semicolons.has(i) && code[i - 1] !== ';') {
+            const next = nextSignificant(code, i, comments);
+            if (next !== undefined && next !== ';' && next !== '}') emit(';', false);
+        }
+        if (i === code.length) break;
+
+        if (verbatim.has(i)) {
+            emit(code.slice(i, verbatim.get(i)), true);
+            i = verbatim.get(i);
+        } else if (comments.has(i)) {
+            i = comments.get(i);
+            space = true;
+        } else if (isWhitespace(code[i])) {
+            space = true;
+            i++;
+        } else {
+            emit(code[i], false);
+            i++;
+        }
+    }
+    return output;
+}
+
+// The program's syntax tree without positions and comments, for comparing
+// the compact output with the input
+function structure(ast) {
+    const POSITION_KEYS = new Set([
+        'start', 'end', 'loc', 'range', 'comments', 'leadingComments', 'trailingComments',
+        'innerComments', 'parenStart', 'trailingComma', 'trailingCommaLoc', 'errors', 'tokens'
+    ]);
+    return JSON.stringify(ast.program, (key, value) => (POSITION_KEYS.has(key) ? undefined : value));
+}
+
+// Registry `compact` entry for a language parsed by `parser`
+function createCompactFormatter(parser) {
+    const kind = parser === 'css' ? 'css' : parser === 'babel' ? 'javascript' : 'json';
+
+    return {
+        name: `speed compact (${kind})`,
+        version: COMPACT_VERSION,
+        async format(code) {
+            const ast = await parse(code, parser);
+            if (kind === 'json') return { formatted: compactJson(code) };
+            if (kind === 'css') return { formatted: compactCss(code) };
+
+            const formatted = compactScript(code, ast);
+            // Never return output that parses into a different program
+            const check = await parse(formatted, parser).catch(() => null);
+            if (!check || structure(check) !== structure(ast)) {
+                throw new Error('Compact formatting failed: the output would change the program');
+            }
+            return { formatted };
+        }
+    };
+}
+
+module.exports = { createCompactFormatter };
@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const prettier = require('prettier');
+const { body } = require('express-validator');
+const { OPTION_SCHEMA, validateOptions } = require('./options');
+
+// Resolve formatting options from the contents of a project's .prettierrc and
+// .editorconfig, the way Prettier's CLI does for a file in that project
+
+const MAX_CONFIG_LENGTH = 64 * 1024;
+const CONFIG_FILES = {
+    prettierrc: '.prettierrc',
+    editorconfig: '.editorconfig'
+};
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+// A .prettierrc that is a string names a shared config package for Prettier to
+// import, so only option objects are accepted
+async function checkPrettierrc(content) {
+    const { parsers } = require('prettier/plugins/yaml');
+    let documents;
+    try {
+        documents = (await parsers.yaml.parse(content, {})).children;
+    } catch (error) {
+        throw new ConfigError(`Invalid .prettierrc: ${error.message.split('\n')[0]}`);
+    }
+
+    const root = documents.length === 1 ? documents[0].children[1].children[0] : undefined;
+    if (root !== null && !['mapping', 'flowMapping'].includes(root?.type)) {
+        throw new ConfigError('.prettierrc must contain a single object of options, shared configs are not supported');
+    }
+}
+
+// Keep the path inside the config directory, whatever the client sent
+function relativePath(filename) {
+    const segments = filename.split(/[\\/]+/).filter(segment => segment && segment !== '.' && segment !== '..');
+    if (/^[a-z]:$/i.test(segments[0] || '')) segments.shift();
+    return segments.join('/') || 'input';
+}
+
+// Options Prettier resolved, split into the ones we honour and the rest
+function splitOptions(resolved) {
+    const options = {};
+    const ignored = [];
+    for (const [name, value] of Object.entries(resolved)) {
+        if (OPTION_SCHEMA[name]) options[name] = value;
+        else ignored.push(name);
+    }
+
+    const errors = validateOptions(options);
+    if (errors.length > 0) {
+        throw new ConfigError(`Invalid options in config: ${errors.join(', ')}`);
+    }
+    return { options, ignored };
+}
+
+// Resolve the options for each filename. The config contents are written to a
+// scratch directory so Prettier applies `overrides` and editorconfig sections
+// to the paths exactly as it would in a checkout.
+async function resolveConfigOptions(config, filenames) {
+    if (config.prettierrc !== undefined) await checkPrettierrc(config.prettierrc);
+
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'speed-formatter-config-'));
+    try {
+        // Always write a .prettierrc so Prettier's search stops here and never
+        // reads config from the server's own directories
+        await fs.writeFile(path.join(directory, CONFIG_FILES.prettierrc), config.prettierrc ?? '{}');
+        if (config.editorconfig !== undefined) {
+            const content = config.editorconfig.replace(/^\s*root\s*[=:].*$/gim, '');
+            await fs.writeFile(path.join(directory, CONFIG_FILES.editorconfig), `root = true\n${content}`);
+        }
+
+        const results = [];
+        for (const filename of filenames) {
+            const resolved = await prettier.resolveConfig(path.join(directory, relativePath(filename)), {
+                editorconfig: config.editorconfig !== undefined,
+                useCache: false
+            });
+            results.push(splitOptions(resolved || {}));
+        }
+        return results;
+    } catch (error) {
+        if (error instanceof ConfigError) throw error;
+        throw new ConfigError(error.message.split(`${directory}${path.sep}`).join(''));
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+// express-validator chains for the `config` request field
+function configValidators(field = 'config') {
+    return [
+        body(field)
+            .optional()
+            .custom(value => value !== null && typeof value === 'object' && !Array.isArray(value))
+            .withMessage(`Config must be an object with ${Object.keys(CONFIG_FILES).join(' and/or ')}`)
+            .bail()
+            .custom(value => Object.keys(value).every(name => CONFIG_FILES[name]))
+            .withMessage(`Config accepts only ${Object.keys(CONFIG_FILES).join(' and ')} file contents`),
+        ...Object.keys(CONFIG_FILES).map(name =>
+            body(`${field}.${name}`)
+                .optional()
+                .isString()
+                .withMessage(`${name} must be the file contents as a string`)
+                .bail()
+                .isLength({ max: MAX_CONFIG_LENGTH })
+                .withMessage(`${name} must be at most ${MAX_CONFIG_LENGTH} characters`)
+        )
+    ];
+}
+
+module.exports = {
+    ConfigError,
+    resolveConfigOptions,
+    configValidators
+};
@@ -0,0 +1,34 @@
+// Best-effort cursor mapping for formatters without native cursor support.
+// Whitespace-only formatters keep every other character in order, so the
+// cursor is placed after the same number of non-whitespace characters.
+function mapCursorOffset(original, formatted, cursorOffset) {
+    let remaining = 0;
+    for (let i = 0; i < cursorOffset && i < original.length; i++) {
+        if (!/\s/.test(original[i])) remaining++;
+    }
+
+    if (remaining === 0) return 0;
+
+    for (let i = 0; i < formatted.length; i++) {
+        if (!/\s/.test(formatted[i])) {
+            remaining--;
+            if (remaining === 0) return i + 1;
+        }
+    }
+
+    return formatted.length;
+}
+
+// Move a cursor offset through sorted, non-overlapping text edits: text after an
+// edit shifts with it, a cursor inside a rewritten span goes to its start
+function mapCursorThroughEdits(cursorOffset, edits) {
+    let shift = 0;
+    for (const edit of edits) {
+        if (cursorOffset < edit.start) break;
+        if (cursorOffset < edit.end) return edit.start + shift;
+        shift += edit.text.length - (edit.end - edit.start);
+    }
+    return cursorOffset + shift;
+}
+
+module.exports = { mapCursorOffset, mapCursorThroughEdits };
@@ -0,0 +1,159 @@
+const path = require('path');
+const formatters = require('./index');
+
+// Well-known filenames without a telling extension
+const SPECIAL_FILENAMES = {
+    '.prettierrc': 'json',
+    '.babelrc': 'json',
+    '.eslintrc': 'json',
+    '.jshintrc': 'json',
+    '.swcrc': 'json',
+    'readme': 'markdown',
+    'changelog': 'markdown'
+};
+
+// Config files that may also be written in YAML
+const JSON_OR_YAML_FILES = new Set(['.prettierrc', '.eslintrc']);
+
+// Weighted content signals per language. Typescript signals only count on
+// top of javascript ones since any javascript is valid typescript.
+const CONTENT_SIGNALS = {
+    javascript: [
+        [/\b(const|let|var)\s+[\w$]+\s*=/, 2],
+        [/\bfunction\s*[\w$]*\s*\(/, 2],
+        [/=>/, 1],
+        [/\brequire\(\s*['"]/, 2],
+        [/^\s*import\s+.+\s+from\s+['"]/m, 2],
+        [/^\s*export\s+(default|const|function|class)\b/m, 2],
+        [/\bconsole\.\w+\(/, 1]
+    ],
+    typescript: [
+        [/:\s*(string|number|boolean|void|any|unknown|never)\b/, 3],
+        [/^\s*(export\s+)?interface\s+\w+/m, 3],
+        [/^\s*(export\s+)?type\s+\w+(<[^>]*>)?\s*=/m, 3],
+        [/\bas\s+const\b/, 2],
+        [/^\s*(export\s+)?enum\s+\w+\s*\{/m, 2],
+        [/\b(private|public|protected|readonly)\s+[\w$]+\s*[:;=(]/, 2],
+        [/^\s*import\s+type\b/m, 3]
+    ],
+    rust: [
+        [/\bfn\s+\w+\s*(<[^>]*>)?\s*\(/, 3],
+        [/\blet\s+mut\b/, 3],
+        [/^\s*(pub\s+)?(struct|enum|trait|mod)\s+\w+/m, 2],
+        [/^\s*impl\b/m, 3],
+        [/^\s*use\s+[\w:]+(::\{[^}]*\})?;/m, 3],
+        [/\w+!\(/, 1],
+        [/#\[\w+/, 2],
+        [/&(mut\s+)?(str|self)\b/, 2],
+        [/\)\s*->\s*[\w&<]/, 1]
+    ],
+    html: [
+        [/<!DOCTYPE\s+html/i, 5],
+        [/<html[\s>]/i, 4],
+        [/<(head|body|div|span|p|a|ul|li|section|script)[\s>]/i, 2],
+        [/<\/\w+>/, 1]
+    ],
+    css: [
+        [/^\s*[.#]?[\w-]+(\s*[>+~,]?\s*[.#]?[\w-]+)*\s*\{\s*[\w-]+\s*:/m, 3],
+        [/^\s*@(media|import|keyframes|font-face|supports)\b/m, 3],
+        [/^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, 1]
+    ],
+    markdown: [
+        [/^#{1,6}\s+\S/m, 2],
+        [/^\s*[-*+]\s+\S/m, 1],
+        [/^```/m, 2],
+        [/\[[^\]]+\]\([^)]+\)/, 2],
+        [/^\s*>\s+\S/m, 1]
+    ]
+};
+
+function looksLikeJson(code) {
+    const trimmed = code.trim();
+    if (!/^[{[]/.test(trimmed)) return false;
+    try {
+        JSON.parse(trimmed);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function detectFromFilename(filename, code) {
+    const basename = path.basename(filename).toLowerCase();
+    const extension = path.extname(basename);
+
+    // Longest suffix first so `app.component.html` is angular, not html
+    const dots = [...basename.matchAll(/\./g)].map(match => match.index).filter(index => index > 0);
+    for (const index of dots) {
+        const formatter = formatters.forExtension(basename.slice(index));
+        if (formatter) {
+            return { language: formatter.language, confidence: 1, source: 'filename' };
+        }
+    }
+
+    const name = SPECIAL_FILENAMES[basename] ? basename : path.basename(basename, extension);
+    const special = SPECIAL_FILENAMES[name];
+    if (special) {
+        // Config files like .prettierrc may hold other formats, so confirm with the content
+        if (special !== 'json' || code === undefined || looksLikeJson(code)) {
+            return { language: special, confidence: 0.9, source: 'filename' };
+        }
+        if (JSON_OR_YAML_FILES.has(name) && !/^\s*[{[]/.test(code)) {
+            return { language: 'yaml', confidence: 0.8, source: 'filename' };
+        }
+        return { language: special, confidence: 0.6, source: 'filename' };
+    }
+
+    return null;
+}
+
+function detectFromContent(code) {
+    if (looksLikeJson(code)) {
+        return { language: 'json', confidence: 0.95, source: 'content', candidates: ['json'] };
+    }
+
+    const scores = {};
+    for (const [language, signals] of Object.entries(CONTENT_SIGNALS)) {
+        scores[language] = signals.reduce((score, [pattern, weight]) => score + (pattern.test(code) ? weight : 0), 0);
+    }
+
+    if (scores.typescript > 0) {
+        scores.typescript += scores.javascript;
+        scores.javascript = 0;
+    }
+
+    const ranked = Object.entries(scores)
+        .filter(([, score]) => score > 0)
+        .sort((a, b) => b[1] - a[1]);
+
+    if (ranked.length === 0) {
+        return { language: null, confidence: 0, source: 'content', candidates: [] };
+    }
+
+    const [best, bestScore] = ranked[0];
+    const runnerUpScore = ranked[1]?.[1] || 0;
+
+    // Share of the evidence, damped when there is little evidence at all
+    const confidence = (bestScore / (bestScore + runnerUpScore)) * Math.min(1, bestScore / 4);
+
+    return {
+        language: best,
+        confidence: Math.round(confidence * 100) / 100,
+        source: 'content',
+        candidates: ranked.map(([language]) => language)
+    };
+}
+
+// Detect the language of a request from its filename, falling back to the
+// code itself. `language` is null when the result is too ambiguous to use.
+function detectLanguage({ filename, code }, { minConfidence = 0.5 } = {}) {
+    const detection = (filename && detectFromFilename(filename, code)) || detectFromContent(code || '');
+    if (detection.confidence < minConfidence) {
+        return { ...detection, language: null };
+    }
+    return detection;
+}
+
+module.exports = {
+    detectLanguage
+};
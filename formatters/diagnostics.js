@@ -0,0 +1,73 @@
+const { normalize } = require('./lineendings');
+
+// Parse errors reported by formatters, carried from the worker to the response
+
+class FormatSyntaxError extends Error {
+    constructor(message, loc) {
+        super(message);
+        this.name = 'FormatSyntaxError';
+        this.loc = loc;
+    }
+}
+
+// Formatter parse errors carry a `loc` with 1-based lines and columns. Their
+// messages end in "(line:column)" and may start with the parser's error name.
+function syntaxErrorFrom(error) {
+    if (!error?.loc?.start) return null;
+
+    const firstLine = (error.reason || error.message).split('\n')[0];
+    const message = firstLine
+        .replace(/\s*\(\d+:\d+\)$/, '')
+        .replace(/^\w*SyntaxError:\s*/, '');
+    return new FormatSyntaxError(message, error.loc);
+}
+
+// Excerpt of the source around a position, marking the line and columns
+function codeFrame(code, start, end, context = 2) {
+    const lines = code.split('\n');
+    const first = Math.max(1, start.line - context);
+    const last = Math.min(lines.length, end.line + context);
+    const gutterWidth = String(last).length;
+
+    const frame = [];
+    for (let number = first; number <= last; number++) {
+        const text = lines[number - 1] || '';
+        const marked = number >= start.line && number <= end.line;
+        frame.push(`${marked ? '>' : ' '} ${String(number).padStart(gutterWidth)} | ${text}`.trimEnd());
+
+        if (number === start.line) {
+            const from = start.column;
+            const to = end.line === start.line ? Math.max(end.column, from + 1) : text.length + 1;
+            const indent = text.slice(0, from - 1).replace(/[^\t]/g, ' ');
+            frame.push(`  ${' '.repeat(gutterWidth)} | ${indent}${'^'.repeat(Math.max(1, to - from))}`);
+        }
+    }
+    return frame.join('\n');
+}
+
+// Turn a FormatSyntaxError into the `diagnostics` array of a 422 response.
+// Positions point into the text formatters saw, without the byte order mark
+// and with LF line breaks, so the code frame is built from that text too.
+function toDiagnostics(error, code) {
+    const source = normalize(code).text;
+    const start = { line: error.loc.start.line, column: error.loc.start.column };
+    const end = error.loc.end
+        ? { line: error.loc.end.line, column: error.loc.end.column }
+        : start;
+
+    return [{
+        severity: 'error',
+        message: error.message,
+        line: start.line,
+        column: start.column,
+        end_line: end.line,
+        end_column: end.column,
+        code_frame: codeFrame(source, start, end)
+    }];
+}
+
+module.exports = {
+    FormatSyntaxError,
+    syntaxErrorFrom,
+    toDiagnostics
+};
@@ -0,0 +1,51 @@
+const { structuredPatch, formatPatch, FILE_HEADERS_ONLY } = require('diff');
+
+// Diffing text where nearly every line changed is quadratic, past this the
+// diff is given up on and only reported as too many changes
+const DIFF_TIMEOUT_MS = 1000;
+
+// Compare input with formatter output for check mode. Returns whether the
+// input was already formatted plus a unified diff and line counts if not.
+// Slow, so the server runs it on a formatter worker.
+function compareFormatting(original, formatted, filename = 'input', { timeoutMs = DIFF_TIMEOUT_MS } = {}) {
+    if (original === formatted) {
+        return {
+            formatted: true,
+            diff: null,
+            changed_lines: 0,
+            lines_added: 0,
+            lines_removed: 0
+        };
+    }
+
+    const patch = structuredPatch(`a/${filename}`, `b/${filename}`, original, formatted, '', '', { context: 3, timeout: timeoutMs });
+    if (!patch) {
+        return {
+            formatted: false,
+            diff: null,
+            too_many_changes: true,
+            changed_lines: null,
+            lines_added: null,
+            lines_removed: null
+        };
+    }
+
+    let lines_added = 0;
+    let lines_removed = 0;
+    for (const hunk of patch.hunks) {
+        for (const line of hunk.lines) {
+            if (line.startsWith('+')) lines_added++;
+            else if (line.startsWith('-')) lines_removed++;
+        }
+    }
+
+    return {
+        formatted: false,
+        diff: formatPatch(patch, FILE_HEADERS_ONLY),
+        changed_lines: Math.max(lines_added, lines_removed),
+        lines_added,
+        lines_removed
+    };
+}
+
+module.exports = { compareFormatting };
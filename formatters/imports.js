@@ -0,0 +1,246 @@
+const { builtinModules } = require('module');
+const { body } = require('express-validator');
+const { mapCursorThroughEdits } = require('./cursor');
+
+// Organize imports: sort import declarations into groups, merge duplicate
+// imports of the same module and sort named specifiers. Runs before Prettier,
+// which then formats the result.
+
+const IMPORT_GROUPS = ['builtin', 'external', 'internal', 'relative'];
+const DEFAULT_INTERNAL_PREFIXES = ['@/', '~/', '#'];
+
+// Prettier's own parsers, so the transform reads code exactly as Prettier will
+const PARSER_PLUGINS = {
+    babel: 'prettier/plugins/babel',
+    'babel-flow': 'prettier/plugins/babel',
+    'babel-ts': 'prettier/plugins/babel',
+    typescript: 'prettier/plugins/typescript'
+};
+
+// The request's `organize_imports` value as transform settings, or null when off.
+// Groups left out of `groups` keep their default order after the listed ones.
+function importSettings(value) {
+    if (!value) return null;
+    const { groups = [], internal_prefixes: internalPrefixes = DEFAULT_INTERNAL_PREFIXES } = value === true ? {} : value;
+    return {
+        groups: [...groups, ...IMPORT_GROUPS.filter(group => !groups.includes(group))],
+        internalPrefixes
+    };
+}
+
+// Babel nodes carry start/end, typescript-estree nodes a range
+const startOf = node => (node.range ? node.range[0] : node.start);
+const endOf = node => (node.range ? node.range[1] : node.end);
+
+function importGroup(source, internalPrefixes) {
+    if (source.startsWith('node:') || builtinModules.includes(source) || builtinModules.includes(source.split('/')[0])) {
+        return 'builtin';
+    }
+    if (source === '.' || source === '..' || source.startsWith('./') || source.startsWith('../')) return 'relative';
+    if (internalPrefixes.some(prefix => source.startsWith(prefix))) return 'internal';
+    return 'external';
+}
+
+function compareText(a, b) {
+    const lower = a.toLowerCase().localeCompare(b.toLowerCase());
+    return lower !== 0 ? lower : a.localeCompare(b);
+}
+
+// Describe an import declaration together with the comments that belong to it:
+// comments right above it and a comment on the same line after it
+function describeImport(code, node, comments, boundary, { attachedOnly }) {
+    const start = startOf(node);
+    const end = endOf(node);
+
+    const before = comments.filter(comment => comment.start >= boundary && comment.end <= start);
+    let chunkStart = start;
+    if (attachedOnly) {
+        // The first import of a block leaves detached comments (file headers) where they are
+        for (let i = before.length - 1; i >= 0; i--) {
+            if (/\n[ \t]*\r?\n/.test(code.slice(before[i].end, chunkStart))) break;
+            chunkStart = before[i].start;
+        }
+    } else if (before.length > 0) {
+        chunkStart = before[0].start;
+    }
+
+    let chunkEnd = end;
+    for (const comment of comments) {
+        if (comment.start < chunkEnd) continue;
+        if (/\n/.test(code.slice(chunkEnd, comment.start))) break;
+        chunkEnd = comment.end;
+    }
+
+    const source = node.source.value;
+    const specifiers = node.specifiers.map(specifier => ({
+        type: specifier.type,
+        text: code.slice(startOf(specifier), endOf(specifier)),
+        name: specifier.imported ? (specifier.imported.name ?? specifier.imported.value) : specifier.local.name
+    }));
+    const tail = code.slice(endOf(node.source), end).replace(/;\s*$/, '');
+
+    return {
+        source,
+        kind: node.importKind && node.importKind !== 'value' ? node.importKind : '',
+        specifiers,
+        sourceText: code.slice(startOf(node.source), endOf(node.source)),
+        tail,
+        leading: code.slice(chunkStart, start),
+        trailing: code.slice(end, chunkEnd),
+        original: code.slice(start, end),
+        // Comments inside the braces would be lost by rewriting, keep such imports as written
+        verbatim: comments.some(comment => comment.start >= start && comment.end <= end),
+        sideEffect: specifiers.length === 0,
+        chunkStart,
+        chunkEnd
+    };
+}
+
+function canMerge(target, entry) {
+    if (target.verbatim || entry.verbatim) return false;
+    if (target.kind !== entry.kind || target.source !== entry.source || target.tail.trim() !== entry.tail.trim()) return false;
+    if ([target, entry].some(item => item.specifiers.some(specifier => specifier.type === 'ImportNamespaceSpecifier'))) return false;
+
+    const defaults = new Set([...target.specifiers, ...entry.specifiers]
+        .filter(specifier => specifier.type === 'ImportDefaultSpecifier')
+        .map(specifier => specifier.text));
+    return defaults.size <= 1;
+}
+
+function renderImport(entry) {
+    if (entry.verbatim) return entry.leading + entry.original + entry.trailing;
+
+    const defaults = entry.specifiers.filter(specifier => specifier.type === 'ImportDefaultSpecifier');
+    const namespaces = entry.specifiers.filter(specifier => specifier.type === 'ImportNamespaceSpecifier');
+    const named = [];
+    const seen = new Set();
+    for (const specifier of entry.specifiers.filter(item => item.type === 'ImportSpecifier')
+        .sort((a, b) => compareText(a.name, b.name) || compareText(a.text, b.text))) {
+        const key = specifier.text.replace(/\s+/g, ' ');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        named.push(specifier.text);
+    }
+
+    const clause = [
+        defaults[0]?.text,
+        ...namespaces.map(specifier => specifier.text),
+        named.length > 0 ? `{ ${named.join(', ')} }` : null
+    ].filter(Boolean).join(', ');
+
+    return `${entry.leading}import ${entry.kind ? `${entry.kind} ` : ''}${clause} from ${entry.sourceText}${entry.tail};${entry.trailing}`;
+}
+
+// Sorted text for a run of imports with no side-effect imports between them
+function organizeSegment(entries, settings) {
+    const merged = [];
+    for (const entry of entries) {
+        const target = merged.find(candidate => canMerge(candidate, entry));
+        if (!target) {
+            merged.push({ ...entry, specifiers: [...entry.specifiers] });
+            continue;
+        }
+        target.specifiers.push(...entry.specifiers);
+        // Comments of merged imports stay above the import they were on
+        const extraComments = [entry.leading.trim(), entry.trailing.trim()].filter(Boolean);
+        if (extraComments.length > 0) target.leading += `${extraComments.join('\n')}\n`;
+    }
+
+    const groups = settings.groups.map(group => merged
+        .filter(entry => importGroup(entry.source, settings.internalPrefixes) === group)
+        .sort((a, b) => compareText(a.source, b.source) || compareText(a.kind, b.kind))
+        .map(renderImport)
+        .join('\n'));
+
+    return groups.filter(Boolean).join('\n\n');
+}
+
+// Plan the replacements for every block of consecutive top-level imports.
+// Side-effect imports (`import './polyfill'`) run in order, so they stay put
+// and split a block into parts that are sorted separately.
+function planEdits(code, ast, settings) {
+    const program = ast.program || ast;
+    const comments = (ast.comments || program.comments || [])
+        .map(comment => ({ start: startOf(comment), end: endOf(comment) }))
+        .sort((a, b) => a.start - b.start);
+
+    const edits = [];
+    let segment = [];
+    let boundary = 0;
+
+    const flush = () => {
+        if (segment.length > 0) {
+            const start = segment[0].chunkStart;
+            const end = segment[segment.length - 1].chunkEnd;
+            const text = organizeSegment(segment, settings);
+            if (text !== code.slice(start, end)) edits.push({ start, end, text });
+        }
+        segment = [];
+    };
+
+    for (const node of program.body) {
+        if (node.type !== 'ImportDeclaration') {
+            flush();
+            boundary = endOf(node);
+            continue;
+        }
+
+        const entry = describeImport(code, node, comments, boundary, { attachedOnly: segment.length === 0 });
+        boundary = entry.chunkEnd;
+        if (entry.sideEffect) {
+            flush();
+        } else {
+            segment.push(entry);
+        }
+    }
+    flush();
+
+    return edits;
+}
+
+async function organizeImports(code, { parser, groups, internalPrefixes }, cursorOffset) {
+    const plugin = require(PARSER_PLUGINS[parser]);
+    const ast = await plugin.parsers[parser].parse(code, {});
+    const edits = planEdits(code, ast, { groups, internalPrefixes });
+
+    let organized = code;
+    for (const edit of [...edits].reverse()) {
+        organized = organized.slice(0, edit.start) + edit.text + organized.slice(edit.end);
+    }
+
+    return {
+        code: organized,
+        cursorOffset: cursorOffset === undefined ? undefined : mapCursorThroughEdits(cursorOffset, edits)
+    };
+}
+
+// express-validator chains for the `organize_imports` request field
+function organizeImportsValidators(field = 'organize_imports') {
+    return [
+        body(field)
+            .optional()
+            .custom(value => typeof value === 'boolean' || (value !== null && typeof value === 'object' && !Array.isArray(value)))
+            .withMessage('Organize imports must be a boolean or an object with groups and internal_prefixes'),
+        body(`${field}.groups`)
+            .optional()
+            .isArray({ min: 1, max: IMPORT_GROUPS.length })
+            .withMessage(`Import groups must be a list of: ${IMPORT_GROUPS.join(', ')}`)
+            .bail()
+            .custom(groups => groups.every(group => IMPORT_GROUPS.includes(group)) && new Set(groups).size === groups.length)
+            .withMessage(`Import groups must be a list of: ${IMPORT_GROUPS.join(', ')}`),
+        body(`${field}.internal_prefixes`)
+            .optional()
+            .isArray({ max: 20 })
+            .withMessage('Internal prefixes must be a list of at most 20 strings')
+            .bail()
+            .custom(prefixes => prefixes.every(prefix => typeof prefix === 'string' && prefix.length > 0))
+            .withMessage('Internal prefixes must be non-empty strings')
+    ];
+}
+
+module.exports = {
+    IMPORT_GROUPS,
+    importSettings,
+    organizeImports,
+    organizeImportsValidators
+};
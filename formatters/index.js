@@ -0,0 +1,135 @@
+const FormatterRegistry = require('./registry');
+const { createPrettierFormatter } = require('./prettier');
+const { createCompactFormatter } = require('./compact');
+const { formatRustWithCursor } = require('./rust');
+const { mapCursorOffset } = require('./cursor');
+const { syntaxErrorFrom } = require('./diagnostics');
+const { sourceVersion } = require('./version');
+
+// Formatters available to every server. Adding a language is one registration here.
+const formatters = new FormatterRegistry();
+
+formatters
+    .register(createPrettierFormatter({
+        language: 'javascript',
+        parser: 'babel',
+        aliases: ['js'],
+        extensions: ['.js', '.mjs', '.cjs', '.jsx'],
+        range: true,
+        organizeImports: true,
+        compact: createCompactFormatter('babel')
+    }))
+    .register(createPrettierFormatter({
+        language: 'typescript',
+        parser: 'typescript',
+        aliases: ['ts'],
+        extensions: ['.ts', '.mts', '.cts', '.tsx'],
+        range: true,
+        organizeImports: true
+    }))
+    .register(createPrettierFormatter({
+        language: 'json',
+        parser: 'json',
+        extensions: ['.json'],
+        range: true,
+        compact: createCompactFormatter('json')
+    }))
+    .register(createPrettierFormatter({
+        language: 'json5',
+        parser: 'json5',
+        extensions: ['.json5'],
+        compact: createCompactFormatter('json5')
+    }))
+    .register(createPrettierFormatter({
+        language: 'jsonc',
+        parser: 'jsonc',
+        extensions: ['.jsonc', '.code-workspace'],
+        compact: createCompactFormatter('jsonc')
+    }))
+    .register(createPrettierFormatter({
+        language: 'yaml',
+        parser: 'yaml',
+        aliases: ['yml'],
+        extensions: ['.yaml', '.yml']
+    }))
+    .register(createPrettierFormatter({
+        language: 'css',
+        parser: 'css',
+        extensions: ['.css', '.pcss', '.postcss'],
+        compact: createCompactFormatter('css')
+    }))
+    .register(createPrettierFormatter({
+        language: 'scss',
+        parser: 'scss',
+        extensions: ['.scss']
+    }))
+    .register(createPrettierFormatter({
+        language: 'less',
+        parser: 'less',
+        extensions: ['.less']
+    }))
+    .register(createPrettierFormatter({
+        language: 'graphql',
+        parser: 'graphql',
+        aliases: ['gql'],
+        extensions: ['.graphql', '.gql', '.graphqls']
+    }))
+    .register(createPrettierFormatter({
+        language: 'html',
+        parser: 'html',
+        extensions: ['.html', '.htm', '.xhtml']
+    }))
+    .register(createPrettierFormatter({
+        language: 'vue',
+        parser: 'vue',
+        extensions: ['.vue']
+    }))
+    .register(createPrettierFormatter({
+        language: 'angular',
+        parser: 'angular',
+        extensions: ['.component.html']
+    }))
+    .register(createPrettierFormatter({
+        language: 'handlebars',
+        parser: 'glimmer',
+        aliases: ['hbs', 'glimmer'],
+        extensions: ['.hbs', '.handlebars']
+    }))
+    .register(createPrettierFormatter({
+        language: 'markdown',
+        parser: 'markdown',
+        aliases: ['md'],
+        extensions: ['.md', '.markdown'],
+        codeBlocks: true
+    }))
+    .register(createPrettierFormatter({
+        language: 'mdx',
+        parser: 'mdx',
+        extensions: ['.mdx'],
+        codeBlocks: true
+    }))
+    .register({
+        language: 'rust',
+        aliases: ['rs'],
+        extensions: ['.rs'],
+        name: 'speed rust formatter',
+        version: sourceVersion(require.resolve('./rust'), require.resolve('./cursor')),
+        // Rust honours layout settings only and keeps rustfmt's defaults
+        options: ['printWidth', 'tabWidth', 'useTabs'],
+        defaults: { printWidth: 100, tabWidth: 4, useTabs: false },
+        format(code, options, { cursorOffset } = {}) {
+            let result;
+            try {
+                result = formatRustWithCursor(code, options, cursorOffset);
+            } catch (error) {
+                throw syntaxErrorFrom(error) || new Error(`Rust formatting failed: ${error.message}`);
+            }
+
+            if (cursorOffset !== undefined && result.cursorOffset === null) {
+                result.cursorOffset = mapCursorOffset(code, result.formatted, cursorOffset);
+            }
+            return result;
+        }
+    });
+
+module.exports = formatters;
@@ -0,0 +1,97 @@
+const { body } = require('express-validator');
+
+// Line endings, byte order mark and final newline are file conventions, not
+// formatting. The input's are detected, formatters only ever see LF text
+// without a BOM, and the output gets the conventions back.
+
+const BOM = '\uFEFF';
+const LINE_ENDING_TARGETS = ['auto', 'lf', 'crlf'];
+const SEQUENCES = { lf: '\n', crlf: '\r\n', cr: '\r' };
+
+function lineEndingKind(sequence) {
+    return Object.keys(SEQUENCES).find(kind => SEQUENCES[kind] === sequence);
+}
+
+// `line_ending` is lf, crlf, cr, mixed or none (a single line)
+function detectConventions(code) {
+    const bom = code.startsWith(BOM);
+    const counts = { lf: 0, crlf: 0, cr: 0 };
+    let first = null;
+    for (const [sequence] of code.matchAll(/\r\n|\r|\n/g)) {
+        const kind = lineEndingKind(sequence);
+        counts[kind]++;
+        first = first || kind;
+    }
+
+    const kinds = Object.keys(counts).filter(kind => counts[kind] > 0);
+    return {
+        line_ending: kinds.length === 0 ? 'none' : kinds.length === 1 ? kinds[0] : 'mixed',
+        // Mixed files follow their first line, like Prettier's endOfLine: auto
+        first_line_ending: first,
+        bom,
+        final_newline: /[\r\n]$/.test(code)
+    };
+}
+
+// The LF text formatters see, and a mapping of input offsets into it
+function normalize(code) {
+    const bom = code.startsWith(BOM) ? 1 : 0;
+    // Characters dropped from the input: the BOM and the CR of each CRLF
+    const removed = [...code.matchAll(/\r\n/g)].map(match => match.index);
+    if (bom) removed.unshift(0);
+
+    const text = code.slice(bom).replace(/\r\n?/g, '\n');
+    const toNormalized = offset => offset - removed.filter(index => index < offset).length;
+    return { text, toNormalized };
+}
+
+function outputLineEnding(detected, target) {
+    if (target !== 'auto') return target;
+    return detected.first_line_ending || 'lf';
+}
+
+// Put the conventions back on formatted LF text, moving the cursor with it
+function restore(formatted, detected, lineEnding, cursorOffset) {
+    let text = formatted.replace(/\n+$/, '');
+    if (detected.final_newline && text) text += '\n';
+
+    const sequence = SEQUENCES[lineEnding];
+    const prefix = detected.bom ? BOM : '';
+    const restored = prefix + text.split('\n').join(sequence);
+
+    let cursor = cursorOffset;
+    if (cursorOffset !== undefined && cursorOffset !== null) {
+        const offset = Math.min(cursorOffset, text.length);
+        const newlines = text.slice(0, offset).split('\n').length - 1;
+        cursor = prefix.length + offset + newlines * (sequence.length - 1);
+    }
+    return { formatted: restored, cursorOffset: cursor };
+}
+
+// Conventions reported in responses
+function describeConventions(detected, lineEnding) {
+    return {
+        detected: detected.line_ending,
+        output: lineEnding,
+        bom: detected.bom,
+        final_newline: detected.final_newline
+    };
+}
+
+// express-validator chain for the `line_endings` request field
+function lineEndingsValidator(field = 'line_endings') {
+    return body(field)
+        .optional()
+        .isIn(LINE_ENDING_TARGETS)
+        .withMessage(`Line endings must be one of: ${LINE_ENDING_TARGETS.join(', ')}`);
+}
+
+module.exports = {
+    LINE_ENDING_TARGETS,
+    detectConventions,
+    normalize,
+    outputLineEnding,
+    restore,
+    describeConventions,
+    lineEndingsValidator
+};
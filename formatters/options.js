@@ -0,0 +1,116 @@
+const { body } = require('express-validator');
+
+// Prettier options clients may override per request. Each entry describes
+// the accepted values so the same table drives validation and error messages.
+const OPTION_SCHEMA = {
+    printWidth: { type: 'integer', min: 20, max: 320 },
+    tabWidth: { type: 'integer', min: 1, max: 16 },
+    useTabs: { type: 'boolean' },
+    semi: { type: 'boolean' },
+    singleQuote: { type: 'boolean' },
+    jsxSingleQuote: { type: 'boolean' },
+    quoteProps: { type: 'enum', values: ['as-needed', 'consistent', 'preserve'] },
+    trailingComma: { type: 'enum', values: ['all', 'es5', 'none'] },
+    bracketSpacing: { type: 'boolean' },
+    bracketSameLine: { type: 'boolean' },
+    objectWrap: { type: 'enum', values: ['preserve', 'collapse'] },
+    arrowParens: { type: 'enum', values: ['always', 'avoid'] },
+    proseWrap: { type: 'enum', values: ['always', 'never', 'preserve'] },
+    htmlWhitespaceSensitivity: { type: 'enum', values: ['css', 'strict', 'ignore'] },
+    embeddedLanguageFormatting: { type: 'enum', values: ['auto', 'off'] },
+    singleAttributePerLine: { type: 'boolean' },
+    experimentalTernaries: { type: 'boolean' }
+};
+
+// House style used when a request doesn't override an option
+const DEFAULT_OPTIONS = {
+    semi: true,
+    singleQuote: true,
+    trailingComma: 'es5',
+    tabWidth: 2,
+    printWidth: 80
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describeOption(name) {
+    const spec = OPTION_SCHEMA[name];
+    switch (spec.type) {
+        case 'boolean':
+            return `${name} must be a boolean`;
+        case 'integer':
+            return `${name} must be an integer between ${spec.min} and ${spec.max}`;
+        case 'enum':
+            return `${name} must be one of: ${spec.values.join(', ')}`;
+    }
+}
+
+function isValidOptionValue(name, value) {
+    const spec = OPTION_SCHEMA[name];
+    switch (spec.type) {
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'integer':
+            return Number.isInteger(value) && value >= spec.min && value <= spec.max;
+        case 'enum':
+            return spec.values.includes(value);
+        default:
+            return false;
+    }
+}
+
+// Validate a plain options object, returning a list of error messages
+function validateOptions(options) {
+    if (!isPlainObject(options)) {
+        return ['Options must be an object'];
+    }
+
+    const errors = [];
+    for (const [name, value] of Object.entries(options)) {
+        if (!OPTION_SCHEMA[name]) {
+            errors.push(`Unknown option '${name}'`);
+        } else if (!isValidOptionValue(name, value)) {
+            errors.push(describeOption(name));
+        }
+    }
+    return errors;
+}
+
+// express-validator chains for an options object in the request body
+function optionValidators(field = 'options') {
+    return [
+        body(field)
+            .optional()
+            .custom(value => isPlainObject(value))
+            .withMessage('Options must be an object')
+            .bail()
+            .custom(value => {
+                const unknown = Object.keys(value).filter(name => !OPTION_SCHEMA[name]);
+                if (unknown.length > 0) {
+                    throw new Error(`Unknown option(s): ${unknown.join(', ')}`);
+                }
+                return true;
+            }),
+        ...Object.keys(OPTION_SCHEMA).map(name =>
+            body(`${field}.${name}`)
+                .optional()
+                .custom(value => isValidOptionValue(name, value))
+                .withMessage(describeOption(name))
+        )
+    ];
+}
+
+// Merge request options over the defaults
+function resolveOptions(options = {}) {
+    return { ...DEFAULT_OPTIONS, ...options };
+}
+
+module.exports = {
+    OPTION_SCHEMA,
+    DEFAULT_OPTIONS,
+    validateOptions,
+    optionValidators,
+    resolveOptions
+};
@@ -0,0 +1,151 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { pathToFileURL } = require('url');
+const prettier = require('prettier');
+const { createPrettierFormatter } = require('./prettier');
+
+const PLUGIN_FILE_EXTENSIONS = ['.js', '.cjs', '.mjs'];
+
+// Turn a Prettier language name like "JSON with Comments" into a request name
+function languageId(name) {
+    return name.toLowerCase().replace(/[^a-z0-9+#]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Entry file of a plugin package, following `exports` before `main`
+function packageEntry(pkg) {
+    let entry = pkg.exports;
+    if (entry && typeof entry === 'object' && entry['.'] !== undefined) entry = entry['.'];
+    while (entry && typeof entry === 'object') {
+        entry = entry.require || entry.import || entry.default || entry.node;
+    }
+    return entry || pkg.main || 'index.js';
+}
+
+// Plugin candidates in the directory: package folders (scoped ones included)
+// and standalone plugin files
+async function findPlugins(directory) {
+    const candidates = [];
+    for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory() && entry.name.startsWith('@')) {
+            for (const scoped of await fs.readdir(entryPath, { withFileTypes: true })) {
+                if (scoped.isDirectory()) candidates.push(path.join(entryPath, scoped.name));
+            }
+        } else if (entry.isDirectory() && !entry.name.startsWith('.')) {
+            candidates.push(entryPath);
+        } else if (entry.isFile() && PLUGIN_FILE_EXTENSIONS.includes(path.extname(entry.name))) {
+            candidates.push(entryPath);
+        }
+    }
+    return candidates.sort();
+}
+
+async function importPlugin(pluginPath) {
+    const stat = await fs.stat(pluginPath);
+    let name = path.basename(pluginPath, path.extname(pluginPath));
+    let version = null;
+    let file = pluginPath;
+
+    if (stat.isDirectory()) {
+        let pkg = {};
+        try {
+            pkg = JSON.parse(await fs.readFile(path.join(pluginPath, 'package.json'), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw new Error(`Invalid package.json: ${error.message}`);
+        }
+        name = pkg.name || path.basename(pluginPath);
+        version = pkg.version || null;
+        file = path.join(pluginPath, packageEntry(pkg));
+    }
+
+    const info = { name, version };
+    try {
+        const module = await import(pathToFileURL(file).href);
+        let plugin = module.default ?? module;
+        // Transpiled CommonJS plugins nest the plugin under `default`
+        if (!plugin.languages && plugin.default) plugin = plugin.default;
+
+        if (!Array.isArray(plugin.languages) || !plugin.parsers) {
+            throw new Error('Not a Prettier plugin: it must export languages and parsers');
+        }
+        return { ...info, plugin };
+    } catch (error) {
+        error.plugin = info;
+        throw error;
+    }
+}
+
+// Register the plugin's languages. Built-in languages, aliases and extensions
+// always win over a plugin's. The formatters are all built before any is
+// registered, so a plugin that fails partway leaves no languages behind.
+function registerPluginLanguages(registry, plugin, { name: pluginName, version: pluginVersion }, quiet) {
+    const formatters = [];
+    // Names and extensions claimed by this plugin's earlier languages
+    const claimedNames = new Set();
+    const claimedExtensions = new Set();
+    const taken = name => registry.has(name) || claimedNames.has(name);
+
+    for (const language of plugin.languages) {
+        const parser = (language.parsers || []).find(name => plugin.parsers[name]);
+        const id = language.name ? languageId(language.name) : '';
+        if (!parser || !id) continue;
+
+        if (taken(id)) {
+            if (!quiet) console.warn(`⚠️  Plugin ${pluginName}: language '${id}' is already registered, skipping`);
+            continue;
+        }
+
+        const aliases = [...new Set((language.aliases || []).map(alias => alias.toLowerCase()))]
+            .filter(alias => alias !== id && !taken(alias));
+        const extensions = [...new Set(language.extensions || [])]
+            .filter(extension => !registry.forExtension(extension) && !claimedExtensions.has(extension.toLowerCase()));
+
+        formatters.push(createPrettierFormatter({
+            language: id,
+            parser,
+            aliases,
+            extensions,
+            plugins: [plugin],
+            version: `${prettier.version}+${pluginName}@${pluginVersion || 'unversioned'}`
+        }));
+        for (const name of [id, ...aliases]) claimedNames.add(name);
+        for (const extension of extensions) claimedExtensions.add(extension.toLowerCase());
+    }
+
+    registry.registerAll(formatters);
+    return formatters.map(formatter => formatter.language);
+}
+
+// Load every Prettier plugin in `directory` into the registry. A plugin that
+// fails to load is reported and skipped so it can't stop the server starting.
+// Worker threads load the same plugins quietly.
+async function loadPlugins(registry, directory, { quiet = false } = {}) {
+    if (!directory) return [];
+
+    let candidates;
+    try {
+        candidates = await findPlugins(directory);
+    } catch (error) {
+        if (!quiet) console.warn(`⚠️  Could not read plugin directory ${directory}: ${error.message}`);
+        return [];
+    }
+
+    const reports = [];
+    for (const candidate of candidates) {
+        let imported = null;
+        try {
+            imported = await importPlugin(candidate);
+            const { name, version, plugin } = imported;
+            const languages = registerPluginLanguages(registry, plugin, { name, version }, quiet);
+            reports.push({ name, version, status: 'loaded', languages });
+            if (!quiet) console.log(`🧩 Loaded plugin ${name}${version ? `@${version}` : ''} (${languages.join(', ') || 'no new languages'})`);
+        } catch (error) {
+            const { name, version } = error.plugin || imported || { name: path.basename(candidate), version: null };
+            reports.push({ name, version, status: 'failed', languages: [], error: error.message });
+            if (!quiet) console.error(`❌ Failed to load plugin ${name}:`, error.message);
+        }
+    }
+    return reports;
+}
+
+module.exports = { loadPlugins };
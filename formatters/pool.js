@@ -0,0 +1,260 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { FormatSyntaxError } = require('./diagnostics');
+const { compareFormatting } = require('./diff');
+
+const WORKER_SCRIPT = path.join(__dirname, 'worker.js');
+
+class FormatTimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`Formatting took longer than ${timeoutMs}ms`);
+        this.name = 'FormatTimeoutError';
+    }
+}
+
+class FormatQueueFullError extends Error {
+    constructor(maxQueue) {
+        super(`All formatter workers are busy and ${maxQueue} jobs are already queued`);
+        this.name = 'FormatQueueFullError';
+    }
+}
+
+class FormatCancelledError extends Error {
+    constructor() {
+        super('Formatting was cancelled');
+        this.name = 'FormatCancelledError';
+    }
+}
+
+// Errors thrown inside a worker arrive as plain objects
+function rebuildError({ name, message, loc }) {
+    if (name === 'FormatSyntaxError') return new FormatSyntaxError(message, loc);
+
+    const error = new Error(message);
+    error.name = name;
+    if (loc) error.loc = loc;
+    return error;
+}
+
+// Runs formatting jobs on worker threads so large inputs can't block the
+// server. Workers start on demand up to `size`; a worker that times out, is
+// cancelled mid-job or runs out of memory is terminated and replaced.
+class FormatterPool {
+    constructor({
+        size = Math.max(1, Math.min(4, os.cpus().length)),
+        maxQueue = 100,
+        timeoutMs = 10000,
+        memoryLimitMb = 256,
+        pluginsDir = null
+    } = {}) {
+        this.size = size;
+        this.maxQueue = maxQueue;
+        this.timeoutMs = timeoutMs;
+        this.memoryLimitMb = memoryLimitMb;
+        this.pluginsDir = pluginsDir;
+
+        this.workers = [];
+        this.idle = [];
+        this.queue = [];
+        this.nextJobId = 1;
+        this.closed = false;
+        this.counters = { completed: 0, failed: 0, timed_out: 0, cancelled: 0, rejected: 0 };
+    }
+
+    // Same contract as FormatterRegistry#format, plus an optional AbortSignal
+    format(code, language, options = {}, { range = null, cursorOffset, organizeImports = null, codeBlocks = false, style = 'pretty', lineEndings = 'auto', signal } = {}) {
+        return this.run({ code, language, options, range, cursorOffset, organizeImports, codeBlocks, style, lineEndings }, signal);
+    }
+
+    // Check mode diff of input and output, see compareFormatting. Diffs of
+    // heavily changed files take long enough to stall the server, so they
+    // run on a worker too.
+    compare(original, formatted, filename, { signal } = {}) {
+        if (original === formatted) {
+            return Promise.resolve(compareFormatting(original, formatted, filename));
+        }
+        return this.run({ type: 'compare', original, formatted, filename }, signal);
+    }
+
+    run(task, signal) {
+        if (this.closed) {
+            return Promise.reject(new Error('Formatter pool is closed'));
+        }
+        if (signal?.aborted) {
+            this.counters.cancelled++;
+            return Promise.reject(new FormatCancelledError());
+        }
+        if (this.idle.length === 0 && this.workers.length >= this.size && this.queue.length >= this.maxQueue) {
+            this.counters.rejected++;
+            return Promise.reject(new FormatQueueFullError(this.maxQueue));
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                message: { id: this.nextJobId++, ...task },
+                resolve,
+                reject,
+                signal,
+                worker: null,
+                timer: null
+            };
+
+            if (signal) {
+                job.onAbort = () => this.cancel(job);
+                signal.addEventListener('abort', job.onAbort, { once: true });
+            }
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    stats() {
+        return {
+            size: this.size,
+            workers: this.workers.length,
+            busy: this.workers.filter(worker => worker.job).length,
+            idle: this.idle.length,
+            queued: this.queue.length,
+            max_queue: this.maxQueue,
+            timeout_ms: this.timeoutMs,
+            memory_limit_mb: this.memoryLimitMb,
+            ...this.counters
+        };
+    }
+
+    async close() {
+        this.closed = true;
+        for (const job of this.queue.splice(0)) {
+            this.settle(job, new Error('Formatter pool is closed'));
+        }
+        await Promise.all(this.workers.map(worker => {
+            if (worker.job) this.settle(worker.job, new Error('Formatter pool is closed'));
+            return worker.terminate();
+        }));
+        this.workers = [];
+        this.idle = [];
+    }
+
+    dispatch() {
+        while (this.queue.length > 0) {
+            let worker = this.idle.pop();
+            if (!worker) {
+                if (this.workers.length >= this.size) return;
+                worker = this.spawn();
+            }
+
+            const job = this.queue.shift();
+            job.worker = worker;
+            worker.job = job;
+            job.timer = setTimeout(() => {
+                this.counters.timed_out++;
+                this.settle(job, new FormatTimeoutError(this.timeoutMs));
+                this.replace(worker);
+            }, this.timeoutMs);
+            worker.postMessage(job.message);
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(WORKER_SCRIPT, {
+            workerData: { pluginsDir: this.pluginsDir },
+            resourceLimits: { maxOldGenerationSizeMb: this.memoryLimitMb }
+        });
+        worker.job = null;
+
+        worker.on('message', ({ id, result, error }) => {
+            const { job } = worker;
+            if (!job || job.message.id !== id) return;
+
+            if (error) {
+                this.counters.failed++;
+                this.settle(job, rebuildError(error));
+            } else {
+                this.counters.completed++;
+                this.settle(job, null, result);
+            }
+            this.release(worker);
+        });
+
+        // Out of memory and other crashes end the worker, fail its job only
+        worker.on('error', error => {
+            if (worker.job) {
+                this.counters.failed++;
+                const message = error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+                    ? `Formatting exceeded the ${this.memoryLimitMb}MB memory limit`
+                    : `Formatter worker crashed: ${error.message}`;
+                this.settle(worker.job, new Error(message));
+            }
+        });
+        worker.on('exit', () => {
+            if (worker.job) {
+                this.counters.failed++;
+                this.settle(worker.job, new Error('Formatter worker exited unexpectedly'));
+            }
+            this.remove(worker);
+            if (!this.closed) this.dispatch();
+        });
+
+        // An idle pool shouldn't keep the process alive, running jobs hold a timer.
+        // Attaching listeners refs the worker again, so this comes last.
+        worker.unref();
+
+        this.workers.push(worker);
+        return worker;
+    }
+
+    // Resolve or reject a job exactly once and detach it from its worker
+    settle(job, error, result) {
+        if (job.settled) return;
+        job.settled = true;
+        clearTimeout(job.timer);
+        if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+        if (job.worker) job.worker.job = null;
+
+        if (error) job.reject(error);
+        else job.resolve(result);
+    }
+
+    cancel(job) {
+        if (job.settled) return;
+        this.counters.cancelled++;
+
+        const queued = this.queue.indexOf(job);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            this.settle(job, new FormatCancelledError());
+            return;
+        }
+
+        // Formatting is synchronous inside the worker, so stopping it means ending the worker
+        const { worker } = job;
+        this.settle(job, new FormatCancelledError());
+        this.replace(worker);
+    }
+
+    release(worker) {
+        if (this.closed) return;
+        this.idle.push(worker);
+        this.dispatch();
+    }
+
+    replace(worker) {
+        this.remove(worker);
+        worker.terminate();
+        if (!this.closed) this.dispatch();
+    }
+
+    remove(worker) {
+        this.workers = this.workers.filter(candidate => candidate !== worker);
+        this.idle = this.idle.filter(candidate => candidate !== worker);
+    }
+}
+
+module.exports = {
+    FormatterPool,
+    FormatTimeoutError,
+    FormatQueueFullError,
+    FormatCancelledError
+};
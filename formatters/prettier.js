@@ -0,0 +1,45 @@
+const prettier = require('prettier');
+const { OPTION_SCHEMA, DEFAULT_OPTIONS } = require('./options');
+const { syntaxErrorFrom } = require('./diagnostics');
+const { organizeImports: organize } = require('./imports');
+
+// Build a registry entry for a language Prettier formats with `parser`.
+// Languages from external plugins pass the plugin objects and their version along.
+function createPrettierFormatter({ language, parser, aliases = [], extensions = [], range = false, organizeImports = false, codeBlocks = false, compact = null, plugins = [], version = prettier.version }) {
+    return {
+        language,
+        aliases,
+        extensions,
+        name: `prettier (${parser})`,
+        version,
+        options: Object.keys(OPTION_SCHEMA),
+        defaults: DEFAULT_OPTIONS,
+        range,
+        organizeImports,
+        codeBlocks,
+        compact,
+        async format(code, options, { range: characterRange = null, cursorOffset, organizeImports: importSettings = null } = {}) {
+            const prettierOptions = {
+                ...options,
+                parser,
+                ...(plugins.length > 0 && { plugins }),
+                ...(characterRange && { rangeStart: characterRange.start, rangeEnd: characterRange.end })
+            };
+
+            try {
+                // Imports are sorted first so Prettier formats the sorted result
+                if (importSettings) {
+                    ({ code, cursorOffset } = await organize(code, { parser, ...importSettings }, cursorOffset));
+                }
+                if (cursorOffset !== undefined) {
+                    return await prettier.formatWithCursor(code, { ...prettierOptions, cursorOffset });
+                }
+                return { formatted: await prettier.format(code, prettierOptions) };
+            } catch (error) {
+                throw syntaxErrorFrom(error) || new Error(`Prettier formatting failed: ${error.message}`);
+            }
+        }
+    };
+}
+
+module.exports = { createPrettierFormatter };
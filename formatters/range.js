@@ -0,0 +1,82 @@
+const { body } = require('express-validator');
+
+// Helpers for formatting only part of a document
+
+// Convert a request range to character offsets. Character ranges are
+// [start, end) offsets, line ranges are 1-based and inclusive.
+function toCharacterRange(code, { start, end, unit = 'character' }) {
+    if (unit === 'character') {
+        if (end > code.length) {
+            throw new Error(`Range end ${end} is past the end of the input (${code.length} characters)`);
+        }
+        return { start, end };
+    }
+
+    const lineStarts = [0];
+    for (let i = 0; i < code.length; i++) {
+        if (code[i] === '\n') lineStarts.push(i + 1);
+    }
+
+    if (start < 1 || end > lineStarts.length) {
+        throw new Error(`Line range must be within 1 and ${lineStarts.length}`);
+    }
+
+    const endOfLine = end < lineStarts.length ? lineStarts[end] - 1 : code.length;
+    return {
+        start: lineStarts[start - 1],
+        end: endOfLine
+    };
+}
+
+// Find the region the formatter actually rewrote by trimming the common
+// prefix and suffix, and report whether it spills outside the requested range
+function describeRangeChanges(original, formatted, range) {
+    let prefix = 0;
+    const maxPrefix = Math.min(original.length, formatted.length);
+    while (prefix < maxPrefix && original[prefix] === formatted[prefix]) {
+        prefix++;
+    }
+
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (suffix < maxSuffix &&
+           original[original.length - 1 - suffix] === formatted[formatted.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    const changed = prefix < original.length - suffix || prefix < formatted.length - suffix;
+
+    return {
+        expanded: changed && (prefix < range.start || original.length - suffix > range.end),
+        formatted_start: prefix,
+        formatted_end: changed ? formatted.length - suffix : prefix
+    };
+}
+
+// express-validator chains for the `range` request field
+function rangeValidators(field = 'range') {
+    const isOffset = value => Number.isInteger(value) && value >= 0;
+
+    return [
+        body(field)
+            .optional()
+            .custom(value => value !== null && typeof value === 'object' && !Array.isArray(value))
+            .withMessage('Range must be an object with start and end')
+            .bail()
+            .custom(value => isOffset(value.start) && isOffset(value.end))
+            .withMessage('Range start and end must be non-negative integers')
+            .bail()
+            .custom(value => value.start <= value.end)
+            .withMessage('Range start must not be after range end'),
+        body(`${field}.unit`)
+            .optional()
+            .isIn(['character', 'line'])
+            .withMessage('Range unit must be either "character" or "line"')
+    ];
+}
+
+module.exports = {
+    rangeValidators,
+    toCharacterRange,
+    describeRangeChanges
+};
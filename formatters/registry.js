@@ -0,0 +1,210 @@
+const { body } = require('express-validator');
+const { formatCodeBlocks } = require('./codeblocks');
+const { detectConventions, normalize, outputLineEnding, restore, describeConventions } = require('./lineendings');
+
+// Formatters register the languages they handle. Each entry declares:
+//   language    canonical language name used in responses, profiles and usage logs
+//   aliases     other names accepted in requests (e.g. 'js')
+//   extensions  file extensions used for language detection
+//   name        reported as `formatter_used`
+//   version     changes whenever the output may change, part of cache keys
+//   options     option names the formatter honours, others are ignored
+//   defaults    option values used when a request doesn't set them
+//   range       whether the formatter supports range formatting
+//   organizeImports  whether the formatter can sort imports before formatting
+//   codeBlocks  whether fenced code blocks can be formatted by their own formatters
+//   compact     optional { name, version, format(code) } producing minified output
+//   format(code, options, { range, cursorOffset, organizeImports }) -> { formatted, cursorOffset }
+// Formatters receive LF text without a byte order mark, the registry puts the
+// input's line endings, BOM and final newline back on their output.
+class FormatterRegistry {
+    constructor() {
+        this.formatters = new Map();
+        this.names = new Map();
+        this.extensions = new Map();
+    }
+
+    register(formatter) {
+        const { language, aliases = [], extensions = [] } = formatter;
+        if (!language || typeof formatter.format !== 'function') {
+            throw new Error('Formatter needs a language and a format function');
+        }
+
+        for (const name of [language, ...aliases]) {
+            if (this.names.has(name.toLowerCase())) {
+                throw new Error(`Language '${name}' is already registered`);
+            }
+        }
+        for (const extension of extensions) {
+            if (this.extensions.has(extension.toLowerCase())) {
+                throw new Error(`Extension '${extension}' is already registered`);
+            }
+        }
+
+        const entry = { aliases: [], extensions: [], options: [], defaults: {}, range: false, organizeImports: false, codeBlocks: false, compact: null, version: null, ...formatter };
+        this.formatters.set(language, entry);
+        for (const name of [language, ...aliases]) {
+            this.names.set(name.toLowerCase(), entry);
+        }
+        for (const extension of extensions) {
+            this.extensions.set(extension.toLowerCase(), entry);
+        }
+        return this;
+    }
+
+    // Register several formatters as one: if any of them is rejected, the
+    // ones before it are removed again and none stay registered
+    registerAll(formatters) {
+        const registered = [];
+        try {
+            for (const formatter of formatters) {
+                this.register(formatter);
+                registered.push(formatter.language);
+            }
+        } catch (error) {
+            for (const language of registered) this.unregister(language);
+            throw error;
+        }
+        return this;
+    }
+
+    unregister(language) {
+        const entry = this.formatters.get(language);
+        if (!entry) return false;
+
+        this.formatters.delete(language);
+        for (const name of [entry.language, ...entry.aliases]) {
+            this.names.delete(name.toLowerCase());
+        }
+        for (const extension of entry.extensions) {
+            this.extensions.delete(extension.toLowerCase());
+        }
+        return true;
+    }
+
+    // Look up a formatter by language or alias, case-insensitively
+    get(name) {
+        return typeof name === 'string' ? this.names.get(name.toLowerCase()) || null : null;
+    }
+
+    has(name) {
+        return this.get(name) !== null;
+    }
+
+    // Canonical language names
+    languages() {
+        return [...this.formatters.keys()];
+    }
+
+    // Every name accepted in requests, aliases included
+    acceptedNames() {
+        return [...this.formatters.values()].flatMap(formatter => [formatter.language, ...formatter.aliases]);
+    }
+
+    // Public description of each language, for clients choosing files to send
+    describe() {
+        return [...this.formatters.values()].map(formatter => ({
+            language: formatter.language,
+            aliases: formatter.aliases,
+            extensions: formatter.extensions,
+            formatter: formatter.name,
+            range: formatter.range,
+            organize_imports: formatter.organizeImports,
+            code_blocks: formatter.codeBlocks,
+            compact: Boolean(formatter.compact)
+        }));
+    }
+
+    forExtension(extension) {
+        return this.extensions.get(extension.toLowerCase()) || null;
+    }
+
+    // Version of every formatter, for results that may involve any of them
+    versions() {
+        return Object.fromEntries([...this.formatters.values()].map(formatter => [formatter.language, formatter.version]));
+    }
+
+    // Defaults merged with the requested options the formatter supports
+    resolveOptions(formatter, requestedOptions = {}) {
+        const options = { ...formatter.defaults };
+        for (const name of formatter.options) {
+            if (requestedOptions[name] !== undefined) options[name] = requestedOptions[name];
+        }
+        return options;
+    }
+
+    // Import settings only apply to formatters that can organize imports
+    resolveImportSettings(formatter, organizeImports) {
+        return formatter.organizeImports && organizeImports ? organizeImports : null;
+    }
+
+    // Format a single source text, returns null when the language is unsupported.
+    // `lineEndings` is 'auto' to keep the input's line endings, or 'lf'/'crlf'.
+    async format(code, language, requestedOptions = {}, { range = null, cursorOffset, organizeImports = null, codeBlocks = false, style = 'pretty', lineEndings = 'auto' } = {}) {
+        const formatter = this.get(language);
+        if (!formatter) return null;
+
+        const detected = detectConventions(code);
+        const { text, toNormalized } = normalize(code);
+        const result = await this.formatNormalized(formatter, text, requestedOptions, {
+            range: range && { ...range, start: toNormalized(range.start), end: toNormalized(range.end) },
+            cursorOffset: cursorOffset === undefined ? undefined : toNormalized(cursorOffset),
+            organizeImports,
+            codeBlocks,
+            style
+        });
+
+        const lineEnding = outputLineEnding(detected, lineEndings);
+        const restored = restore(result.formatted_code, detected, lineEnding, result.cursor_offset);
+        return {
+            ...result,
+            formatted_code: restored.formatted,
+            ...(result.cursor_offset !== undefined && { cursor_offset: restored.cursorOffset }),
+            line_endings: describeConventions(detected, lineEnding)
+        };
+    }
+
+    async formatNormalized(formatter, code, requestedOptions, { range, cursorOffset, organizeImports, codeBlocks, style }) {
+        // Compact output has its own formatter and no options
+        if (style === 'compact') {
+            if (!formatter.compact) throw new Error(`Compact style is not available for ${formatter.language}`);
+            const result = await formatter.compact.format(code);
+            return {
+                formatted_code: result.formatted,
+                formatter_used: formatter.compact.name,
+                options: {}
+            };
+        }
+
+        // Fenced code goes through its own language's formatter before the document
+        let blocks = null;
+        if (codeBlocks && formatter.codeBlocks) {
+            ({ code, blocks, cursorOffset } = await formatCodeBlocks(code, this, requestedOptions, cursorOffset));
+        }
+
+        const options = this.resolveOptions(formatter, requestedOptions);
+        const result = await formatter.format(code, options, {
+            range,
+            cursorOffset,
+            organizeImports: this.resolveImportSettings(formatter, organizeImports)
+        });
+
+        return {
+            formatted_code: result.formatted,
+            formatter_used: formatter.name,
+            options,
+            ...(cursorOffset !== undefined && { cursor_offset: result.cursorOffset }),
+            ...(blocks && { code_blocks: blocks })
+        };
+    }
+
+    // express-validator chain for a language field in the request body
+    languageValidator(field = 'language', { optional = true } = {}) {
+        const chain = optional ? body(field).optional() : body(field);
+        return chain
+            .custom(value => this.has(value))
+            .withMessage(() => `Language must be one of: ${this.acceptedNames().join(', ')}`);
+    }
+}
+
+module.exports = FormatterRegistry;
@@ -0,0 +1,1465 @@
+// Token-aware Rust formatter producing rustfmt-like output.
+//
+// The source is tokenized (strings, raw strings, chars, lifetimes and
+// comments are kept intact), grouped into a tree of (), [] and {} groups,
+// and printed back with rustfmt's spacing, indentation and line-breaking
+// conventions. Formatting is idempotent: formatting the output again
+// produces the same text.
+
+const KEYWORDS = new Set([
+    'as', 'async', 'await', 'break', 'const', 'continue', 'crate', 'dyn', 'else', 'enum',
+    'extern', 'false', 'fn', 'for', 'if', 'impl', 'in', 'let', 'loop', 'match', 'mod',
+    'move', 'mut', 'pub', 'ref', 'return', 'self', 'Self', 'static', 'struct', 'super',
+    'trait', 'true', 'type', 'unsafe', 'use', 'where', 'while', 'yield'
+]);
+
+// Keywords that behave like values in expressions
+const OPERAND_KEYWORDS = new Set(['self', 'Self', 'super', 'crate', 'true', 'false', 'await']);
+
+// Keywords that introduce a braced block or item body
+const BLOCK_INTRODUCERS = new Set([
+    'fn', 'struct', 'enum', 'union', 'impl', 'trait', 'mod', 'extern', 'if', 'while',
+    'for', 'match', 'loop', 'unsafe', 'async', 'else'
+]);
+
+// Keywords that may precede an item or block-like statement
+const ITEM_MODIFIERS = new Set(['pub', 'unsafe', 'async', 'const', 'extern', 'default', 'move']);
+
+// Macros whose arguments are ordinary expressions and can be formatted
+const EXPRESSION_MACROS = new Set([
+    'println', 'print', 'eprintln', 'eprint', 'format', 'format_args', 'write', 'writeln',
+    'panic', 'assert', 'assert_eq', 'assert_ne', 'debug_assert', 'debug_assert_eq',
+    'debug_assert_ne', 'vec', 'dbg', 'todo', 'unimplemented', 'unreachable', 'matches',
+    'trace', 'debug', 'info', 'warn', 'error'
+]);
+
+const PUNCTUATION = [
+    '>>=', '<<=', '...', '..=',
+    '::', '->', '=>', '==', '!=', '<=', '>=', '&&', '||', '+=', '-=', '*=', '/=', '%=',
+    '^=', '&=', '|=', '<<', '>>', '..',
+    '+', '-', '*', '/', '%', '^', '!', '&', '|', '=', '<', '>', '@', '.', ',', ';', ':',
+    '#', '$', '?', '~', '(', ')', '{', '}', '[', ']'
+];
+
+const UNARY_CANDIDATES = new Set(['-', '*', '&', '&&', '!']);
+const RANGE_OPERATORS = new Set(['..', '..=', '...']);
+// Binary operators that cannot start a statement, so a block followed by
+// one of them is still part of an expression
+const CONTINUATION_OPERATORS = new Set([
+    '==', '!=', '>', '<=', '>=', '+', '/', '%', '||', '^', '<<', '>>',
+    '=', '+=', '-=', '*=', '/=', '%=', '^=', '&=', '|=', '<<=', '>>=', '.', '?'
+]);
+
+const CLOSING = { '(': ')', '[': ']', '{': '}' };
+
+// Marks the cursor position while printing, removed from the final output
+const CURSOR_MARK = '\uE000';
+
+class RustSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`${message} (${line}:${column})`);
+        this.name = 'RustSyntaxError';
+        this.reason = message;
+        this.loc = { start: { line, column } };
+    }
+}
+
+function isIdentStart(char) {
+    return /[\p{L}_]/u.test(char);
+}
+
+function isIdentChar(char) {
+    return /[\p{L}\p{N}_]/u.test(char);
+}
+
+function tokenize(source) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+    let lineStart = 0;
+    let newlines = 0;
+
+    const fail = (message, at = pos) => {
+        const before = source.slice(0, at);
+        const errorLine = before.split('\n').length;
+        const errorColumn = at - before.lastIndexOf('\n');
+        throw new RustSyntaxError(message, errorLine, errorColumn);
+    };
+
+    const push = (type, start, extra = {}) => {
+        tokens.push({
+            type,
+            value: source.slice(start, pos),
+            start,
+            end: pos,
+            line,
+            column: start - lineStart + 1,
+            newlinesBefore: newlines,
+            ...extra
+        });
+        newlines = 0;
+    };
+
+    // Advance over a span that may contain newlines, keeping line tracking in sync
+    const advanceTo = (end) => {
+        for (let i = pos; i < end; i++) {
+            if (source[i] === '\n') {
+                line++;
+                lineStart = i + 1;
+            }
+        }
+        pos = end;
+    };
+
+    const readQuoted = (start, quote) => {
+        let i = pos;
+        while (i < source.length && source[i] !== quote) {
+            i += source[i] === '\\' ? 2 : 1;
+        }
+        if (i >= source.length) fail('Unterminated string literal', start);
+        return i + 1;
+    };
+
+    // Shebang lines are kept verbatim
+    if (source.startsWith('#!') && !source.startsWith('#![')) {
+        pos = source.indexOf('\n') === -1 ? source.length : source.indexOf('\n');
+        push('comment', 0, { lineComment: true });
+    }
+
+    while (pos < source.length) {
+        const char = source[pos];
+        const start = pos;
+        const startLine = line;
+        const startColumn = pos - lineStart + 1;
+
+        if (char === '\n') {
+            newlines++;
+            line++;
+            pos++;
+            lineStart = pos;
+            continue;
+        }
+
+        if (/\s/.test(char)) {
+            pos++;
+            continue;
+        }
+
+        if (source.startsWith('//', pos)) {
+            const end = source.indexOf('\n', pos);
+            pos = end === -1 ? source.length : end;
+            while (/[ \t\r]/.test(source[pos - 1])) pos--;
+            push('comment', start, { lineComment: true });
+            pos = end === -1 ? source.length : end;
+            continue;
+        }
+
+        if (source.startsWith('/*', pos)) {
+            let depth = 0;
+            let i = pos;
+            while (i < source.length) {
+                if (source.startsWith('/*', i)) {
+                    depth++;
+                    i += 2;
+                } else if (source.startsWith('*/', i)) {
+                    depth--;
+                    i += 2;
+                    if (depth === 0) break;
+                } else {
+                    i++;
+                }
+            }
+            if (depth !== 0) fail('Unterminated block comment', start);
+            advanceTo(i);
+            tokens.push({
+                type: 'comment',
+                value: source.slice(start, pos),
+                start,
+                end: pos,
+                line: startLine,
+                column: startColumn,
+                newlinesBefore: newlines,
+                lineComment: false
+            });
+            newlines = 0;
+            continue;
+        }
+
+        // Raw strings: r"..", r#".."#, br"..", cr".."
+        const rawMatch = /^(?:b|c)?r(#*)"/.exec(source.slice(pos, pos + 260));
+        if (rawMatch) {
+            const terminator = '"' + rawMatch[1];
+            const end = source.indexOf(terminator, pos + rawMatch[0].length);
+            if (end === -1) fail('Unterminated raw string literal', start);
+            advanceTo(end + terminator.length);
+            tokens.push({
+                type: 'string', value: source.slice(start, pos), start, end: pos,
+                line: startLine, column: startColumn, newlinesBefore: newlines
+            });
+            newlines = 0;
+            continue;
+        }
+
+        // Strings and byte/C strings
+        if (char === '"' || ((char === 'b' || char === 'c') && source[pos + 1] === '"')) {
+            pos += char === '"' ? 1 : 2;
+            const end = readQuoted(start, '"');
+            pos = start;
+            advanceTo(end);
+            // Literal suffixes are rare but legal
+            while (pos < source.length && isIdentChar(source[pos])) pos++;
+            tokens.push({
+                type: 'string', value: source.slice(start, pos), start, end: pos,
+                line: startLine, column: startColumn, newlinesBefore: newlines
+            });
+            newlines = 0;
+            continue;
+        }
+
+        // Byte chars
+        if (char === 'b' && source[pos + 1] === '\'') {
+            pos += 2;
+            pos = readQuoted(start, '\'');
+            push('char', start);
+            continue;
+        }
+
+        // Chars and lifetimes
+        if (char === '\'') {
+            if (source[pos + 1] === '\\') {
+                pos += 1;
+                pos = readQuoted(start, '\'');
+                push('char', start);
+                continue;
+            }
+
+            const codePoint = source.codePointAt(pos + 1);
+            const width = codePoint > 0xffff ? 2 : 1;
+            if (source[pos + 1 + width] === '\'' && source[pos + 1] !== '\n') {
+                pos += 2 + width;
+                push('char', start);
+                continue;
+            }
+
+            if (isIdentStart(source[pos + 1] || '')) {
+                pos += 2;
+                while (pos < source.length && isIdentChar(source[pos])) pos++;
+                push('lifetime', start);
+                continue;
+            }
+
+            fail('Unterminated character literal', start);
+        }
+
+        if (/[0-9]/.test(char)) {
+            if (/^0[xob]/.test(source.slice(pos, pos + 2))) {
+                pos += 2;
+                while (pos < source.length && /[0-9a-fA-F_]/.test(source[pos])) pos++;
+            } else {
+                while (pos < source.length && /[0-9_]/.test(source[pos])) pos++;
+                // Fraction, but not a range (1..2), method call (1.max()) or field access
+                if (source[pos] === '.' && source[pos + 1] !== '.' && !isIdentStart(source[pos + 1] || '')) {
+                    pos++;
+                    while (pos < source.length && /[0-9_]/.test(source[pos])) pos++;
+                }
+                if (/[eE]/.test(source[pos] || '') && /^[eE][+-]?[0-9]/.test(source.slice(pos, pos + 3))) {
+                    pos += /[+-]/.test(source[pos + 1]) ? 2 : 1;
+                    while (pos < source.length && /[0-9_]/.test(source[pos])) pos++;
+                }
+            }
+            while (pos < source.length && isIdentChar(source[pos])) pos++;
+            push('number', start);
+            continue;
+        }
+
+        if (isIdentStart(char)) {
+            if (source.startsWith('r#', pos) && isIdentStart(source[pos + 2] || '')) pos += 2;
+            while (pos < source.length && isIdentChar(source[pos])) pos++;
+            push('ident', start);
+            continue;
+        }
+
+        const punct = PUNCTUATION.find(candidate => source.startsWith(candidate, pos));
+        if (!punct) fail(`Unexpected character '${char}'`);
+        pos += punct.length;
+        push('punct', start);
+    }
+
+    return tokens;
+}
+
+// Nest tokens into (), [] and {} groups, validating that delimiters balance
+function buildTree(tokens) {
+    const root = { type: 'group', children: [] };
+    const stack = [root];
+
+    for (const token of tokens) {
+        const current = stack[stack.length - 1];
+
+        if (token.type === 'punct' && CLOSING[token.value]) {
+            const group = {
+                type: 'group',
+                open: token,
+                close: null,
+                children: [],
+                newlinesBefore: token.newlinesBefore
+            };
+            current.children.push(group);
+            stack.push(group);
+        } else if (token.type === 'punct' && [')', ']', '}'].includes(token.value)) {
+            if (current === root || CLOSING[current.open.value] !== token.value) {
+                throw new RustSyntaxError(`Unexpected closing delimiter '${token.value}'`, token.line, token.column);
+            }
+            current.close = token;
+            stack.pop();
+        } else {
+            current.children.push(token);
+        }
+    }
+
+    if (stack.length > 1) {
+        const unclosed = stack[stack.length - 1].open;
+        throw new RustSyntaxError(`Unclosed delimiter '${unclosed.value}'`, unclosed.line, unclosed.column);
+    }
+
+    return root;
+}
+
+function isGroup(atom, open) {
+    return atom && atom.type === 'group' && (open === undefined || atom.open.value === open);
+}
+
+function isPunct(atom, value) {
+    return atom && atom.type === 'punct' && (value === undefined || atom.value === value);
+}
+
+function isIdent(atom, value) {
+    return atom && atom.type === 'ident' && (value === undefined || atom.value === value);
+}
+
+function isComment(atom) {
+    return atom && atom.type === 'comment';
+}
+
+function isLineComment(atom) {
+    return isComment(atom) && atom.lineComment;
+}
+
+// Whether an atom can end an operand, making a following operator binary
+function endsOperand(atom) {
+    if (!atom) return false;
+    if (atom.type === 'group') return atom.open.value !== '{';
+    if (atom.type === 'ident') return !KEYWORDS.has(atom.value) || OPERAND_KEYWORDS.has(atom.value);
+    if (['number', 'string', 'char'].includes(atom.type)) return true;
+    if (atom.type === 'punct') return (atom.value === '?' && atom.role !== 'maybe') || atom.role === 'generic-close';
+    return false;
+}
+
+// Whether `next`, following a block, keeps the surrounding expression going
+function continuesExpression(next) {
+    return isIdent(next, 'as') || (isPunct(next) && CONTINUATION_OPERATORS.has(next.value));
+}
+
+// Commas inside generic arguments or closure parameters don't separate list elements
+function isSeparator(atom) {
+    return isPunct(atom, ',') && !atom.nested;
+}
+
+function significant(list) {
+    return list.filter(atom => !isComment(atom));
+}
+
+class RustFormatter {
+    constructor({ tabWidth = 4, useTabs = false, printWidth = 100 } = {}) {
+        this.tabWidth = tabWidth;
+        this.useTabs = useTabs;
+        this.printWidth = printWidth;
+        this.indentUnit = useTabs ? '\t' : ' '.repeat(tabWidth);
+
+        // rustfmt's width heuristics, scaled to the print width
+        this.limits = {
+            call: Math.floor(printWidth * 0.6),
+            array: Math.floor(printWidth * 0.6),
+            chain: Math.floor(printWidth * 0.6),
+            structLiteral: Math.floor(printWidth * 0.18),
+            ifElse: Math.floor(printWidth * 0.5)
+        };
+    }
+
+    format(source, cursorOffset) {
+        this.source = source;
+        this.cursorOffset = cursorOffset;
+
+        const tokens = tokenize(source);
+        if (cursorOffset !== undefined) this.markCursor(tokens, cursorOffset);
+
+        const root = buildTree(tokens);
+        this.annotate(root.children, 'block');
+
+        // `#![rustfmt::skip]` at the top opts the whole file out
+        const inner = root.children.findIndex(atom => isPunct(atom, '#') && atom.role === 'attr');
+        if (inner !== -1 && isPunct(root.children[inner + 1], '!') && this.isSkipAttribute(root.children.slice(inner, inner + 3))) {
+            return source;
+        }
+
+        const body = this.printEntries(root.children, 0, 'block');
+        return body.length > 0 ? body + '\n' : '';
+    }
+
+    markCursor(tokens, cursorOffset) {
+        const token = tokens.find(candidate => cursorOffset < candidate.end);
+        if (token) {
+            token.cursorAt = Math.max(0, cursorOffset - token.start);
+        } else if (tokens.length > 0) {
+            const last = tokens[tokens.length - 1];
+            last.cursorAt = last.value.length;
+        }
+    }
+
+    indent(level) {
+        return this.indentUnit.repeat(level);
+    }
+
+    width(text) {
+        return this.useTabs ? text.replace(/\t/g, ' '.repeat(this.tabWidth)).length : text.length;
+    }
+
+    tokenText(token) {
+        if (token.cursorAt === undefined) return token.value;
+        return token.value.slice(0, token.cursorAt) + CURSOR_MARK + token.value.slice(token.cursorAt);
+    }
+
+    // Assign roles to ambiguous punctuation in one list: unary vs binary
+    // operators, closure pipes, generic angle brackets, macro bangs and attributes
+    classify(list) {
+        for (let i = 0; i < list.length; i++) {
+            const atom = list[i];
+            if (!isPunct(atom) || atom.role) continue;
+
+            const prev = this.previousSignificant(list, i);
+            const next = this.nextSignificant(list, i);
+
+            if (atom.value === '#' && (isGroup(next, '[') || (isPunct(next, '!') && isGroup(this.nextSignificant(list, list.indexOf(next)), '[')))) {
+                atom.role = 'attr';
+                if (isPunct(next, '!')) next.role = 'attr';
+            } else if (atom.value === '!' && isIdent(prev) && !KEYWORDS.has(prev.value) && (isGroup(next) || isIdent(next))) {
+                atom.role = 'macro';
+            } else if (atom.value === '!' && !endsOperand(prev) && (!next || isGroup(next, '{') || isPunct(next, ',') || isPunct(next, ';') || isPunct(next, '='))) {
+                atom.role = 'never';
+            } else if (UNARY_CANDIDATES.has(atom.value) && !endsOperand(prev)) {
+                atom.role = 'unary';
+            } else if (atom.value === '?' && (!prev || (isPunct(prev) && [':', '+', ',', '<'].includes(prev.value)))) {
+                atom.role = 'maybe';
+            } else if (atom.value === '||' && !endsOperand(prev)) {
+                atom.role = 'closure-empty';
+            } else if (atom.value === '|' && !endsOperand(prev)) {
+                atom.role = 'closure-open';
+                for (let j = i + 1; j < list.length; j++) {
+                    if (isPunct(list[j], '|')) {
+                        list[j].role = 'closure-close';
+                        break;
+                    }
+                }
+            } else if (atom.value === '<' && this.mayOpenGeneric(list, i)) {
+                const close = this.findGenericClose(list, i);
+                if (close !== -1) {
+                    atom.role = 'generic-open';
+                    list[close].role = 'generic-close';
+                }
+            }
+        }
+    }
+
+    markNestedCommas(list) {
+        let depth = 0;
+        for (const atom of list) {
+            if (atom.role === 'generic-open' || atom.role === 'closure-open') depth++;
+            if (atom.role === 'generic-close' || atom.role === 'closure-close') depth--;
+            if (isPunct(atom, ',') && depth > 0) atom.nested = true;
+        }
+    }
+
+    previousSignificant(list, index) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (!isComment(list[i])) return list[i];
+        }
+        return null;
+    }
+
+    nextSignificant(list, index) {
+        for (let i = index + 1; i < list.length; i++) {
+            if (!isComment(list[i])) return list[i];
+        }
+        return null;
+    }
+
+    mayOpenGeneric(list, index) {
+        const prev = this.previousSignificant(list, index);
+        if (!endsOperand(prev)) return true;
+        if (isPunct(prev, '::')) return true;
+        if (isIdent(prev, 'impl') || isIdent(prev, 'for')) return true;
+        if (!isIdent(prev)) return false;
+
+        // Type names are capitalized; lowercase names only take generics where defined
+        if (/^[A-Z]/.test(prev.value)) return true;
+        const beforePrev = this.previousSignificant(list, list.indexOf(prev));
+        return ['fn', 'struct', 'enum', 'trait', 'type', 'union'].some(keyword => isIdent(beforePrev, keyword));
+    }
+
+    // Scan forward for the '>' matching a generic '<', splitting '>>', '>=' and
+    // '>>=' as needed. Returns -1 when the tokens can't form a type list.
+    findGenericClose(list, index) {
+        let depth = 1;
+        // Splits are undone when the tokens turn out not to be generics
+        const splits = [];
+        const fail = () => {
+            for (const [at, token] of splits.reverse()) list.splice(at, 2, token);
+            return -1;
+        };
+
+        for (let i = index + 1; i < list.length; i++) {
+            const atom = list[i];
+            if (isComment(atom)) continue;
+            if (isGroup(atom)) {
+                if (atom.open.value === '{') return fail();
+                continue;
+            }
+            if (atom.type !== 'punct') continue;
+
+            switch (atom.value) {
+                case '<':
+                    depth++;
+                    break;
+                case '>':
+                    depth--;
+                    if (depth === 0) return i;
+                    break;
+                case '>>':
+                case '>=':
+                case '>>=':
+                    // Its first '>' closes a level, the rest is scanned next
+                    splits.push([i, atom]);
+                    this.splitToken(list, i);
+                    i--;
+                    break;
+                case '::':
+                case ',':
+                case ':':
+                case '+':
+                case '=':
+                case '&':
+                case '*':
+                case '?':
+                case '->':
+                case '!':
+                    break;
+                default:
+                    return fail();
+            }
+        }
+
+        return fail();
+    }
+
+    splitToken(list, index) {
+        const token = list[index];
+        const first = { ...token, value: '>', end: token.start + 1 };
+        const rest = {
+            ...token,
+            value: token.value.slice(1),
+            start: token.start + 1,
+            column: token.column + 1,
+            newlinesBefore: 0
+        };
+        delete first.cursorAt;
+        delete rest.cursorAt;
+        if (token.cursorAt !== undefined) {
+            if (token.cursorAt === 0) first.cursorAt = 0;
+            else rest.cursorAt = token.cursorAt - 1;
+        }
+        list.splice(index, 1, first, rest);
+    }
+
+    // Decide what each `{` group in a list is: a statement block, match arms,
+    // struct/enum fields, a struct literal or pattern, a use tree, or macro input
+    annotate(list, listKind) {
+        this.classify(list);
+        this.markNestedCommas(list);
+
+        let prefix = [];
+        for (let i = 0; i < list.length; i++) {
+            const atom = list[i];
+            if (isComment(atom)) continue;
+
+            if (isGroup(atom, '{')) {
+                atom.kind = this.braceKind(prefix, listKind);
+                // `let x = unsafe { y };` may stay on one line, a statement-level block may not
+                atom.expressionBlock = prefix.length > 1 && isIdent(prefix[prefix.length - 1], 'unsafe');
+            }
+
+            if (isGroup(atom, '(')) {
+                const fnIndex = prefix.findLastIndex(candidate => isIdent(candidate, 'fn'));
+                atom.params = fnIndex !== -1 && !prefix.slice(fnIndex).some(candidate => isGroup(candidate, '('));
+            }
+
+            if (isIdent(atom, 'if') && (prefix.length > 0 || listKind === 'fields')) {
+                this.markIfElse(list, i);
+            }
+
+            if (isGroup(atom)) {
+                const childKind = isGroup(atom, '{')
+                    ? { block: 'block', match: 'match', fields: 'fields', literal: 'fields', use: 'fields', macro: null }[atom.kind]
+                    : 'fields';
+                const isMacroInput = this.isMacroInput(list, i);
+                atom.macro = isMacroInput;
+                const bang = this.previousSignificant(list, i);
+                if (isPunct(bang, '!') && bang.role === 'macro') {
+                    atom.macroName = this.previousSignificant(list, list.indexOf(bang)).value;
+                }
+                if (childKind && !isMacroInput) this.annotate(atom.children, childKind);
+            }
+
+            prefix.push(atom);
+
+            const resets = (listKind === 'block' && isPunct(atom, ';')) ||
+                (listKind !== 'block' && isSeparator(atom)) ||
+                (listKind === 'match' && isPunct(atom, '=>')) ||
+                (isGroup(atom, '{') && !['literal', 'use'].includes(atom.kind) &&
+                    !continuesExpression(this.nextSignificant(list, i))) ||
+                (isGroup(atom, '[') && isPunct(this.previousSignificant(list, i), '#'));
+            if (resets) prefix = [];
+        }
+    }
+
+    // Link the blocks of an `if cond { a } else { b }` expression so they can
+    // be kept on one line together
+    markIfElse(list, index) {
+        const condition = [];
+        let i = index + 1;
+        while (i < list.length && !isGroup(list[i], '{')) condition.push(list[i++]);
+
+        const thenBlock = list[i];
+        const elseKeyword = this.nextSignificant(list, i);
+        if (!thenBlock || !isIdent(elseKeyword, 'else')) return;
+
+        const elseBlock = this.nextSignificant(list, list.indexOf(elseKeyword));
+        if (!isGroup(elseBlock, '{')) return;
+
+        const ifElse = { condition, blocks: [thenBlock, elseBlock] };
+        thenBlock.ifElse = ifElse;
+        elseBlock.ifElse = ifElse;
+    }
+
+    // Macro arguments are only formatted for macros known to take expressions
+    isMacroInput(list, index) {
+        const bang = this.previousSignificant(list, index);
+        if (!isPunct(bang, '!') || bang.role !== 'macro') {
+            const name = bang;
+            const maybeBang = name ? this.previousSignificant(list, list.indexOf(name)) : null;
+            return isIdent(name) && isPunct(maybeBang, '!') && maybeBang.role === 'macro';
+        }
+        if (isGroup(list[index], '{')) return true;
+        const name = this.previousSignificant(list, list.indexOf(bang));
+        return !EXPRESSION_MACROS.has(name.value);
+    }
+
+    braceKind(prefix, listKind) {
+        const prev = prefix[prefix.length - 1];
+        const beforePrev = prefix[prefix.length - 2];
+
+        if (isPunct(prev, '!') && prev.role === 'macro') return 'macro';
+        if (isIdent(prev) && isPunct(beforePrev, '!') && beforePrev.role === 'macro') return 'macro';
+        if (isPunct(prev, '::') || isIdent(prefix.find(atom => !isIdent(atom, 'pub') && !isGroup(atom, '(')), 'use')) return 'use';
+        if (!prev) return 'block';
+
+        let introducer = -1;
+        for (let i = prefix.length - 1; i >= 0; i--) {
+            const atom = prefix[i];
+            if (isIdent(atom) && BLOCK_INTRODUCERS.has(atom.value)) {
+                // `for<'a>` is a higher-ranked bound, not a loop
+                if (atom.value === 'for' && isPunct(prefix[i + 1], '<')) continue;
+                introducer = i;
+                break;
+            }
+        }
+        const keyword = introducer === -1 ? null : prefix[introducer].value;
+        const afterIntroducer = prefix.slice(introducer + 1);
+
+        if (['struct', 'union', 'enum'].includes(keyword)) return 'fields';
+        if (!endsOperand(prev) || prev.role === 'closure-close') return keyword === 'match' ? 'match' : 'block';
+        if (prefix.some(atom => isPunct(atom, '->'))) return 'block';
+        if (isGroup(prev, '(') && keyword) return keyword === 'match' ? 'match' : 'block';
+
+        if (keyword === 'match') return 'match';
+        if (keyword === 'if' || keyword === 'while') {
+            const letIndex = afterIntroducer.findIndex(atom => isIdent(atom, 'let'));
+            if (letIndex !== -1 && !afterIntroducer.slice(letIndex).some(atom => isPunct(atom, '='))) {
+                return 'literal';
+            }
+            return 'block';
+        }
+        if (keyword === 'for') {
+            const implBefore = prefix.slice(0, introducer).some(atom => isIdent(atom, 'impl'));
+            if (implBefore || afterIntroducer.some(atom => isIdent(atom, 'in'))) return 'block';
+            return 'literal';
+        }
+        if (keyword) return 'block';
+
+        return 'literal';
+    }
+
+    // Whether a statement whose tokens so far are `tokens` ends at a block-like `}`
+    isBlockLikeStatement(tokens) {
+        let i = 0;
+        const code = significant(tokens);
+
+        if (code[0] && code[0].type === 'lifetime' && isPunct(code[1], ':')) i = 2;
+        while (i < code.length) {
+            const atom = code[i];
+            if (isIdent(atom) && ITEM_MODIFIERS.has(atom.value)) {
+                i++;
+                if (isIdent(atom, 'pub') && isGroup(code[i], '(')) i++;
+                if (isIdent(atom, 'extern') && code[i] && code[i].type === 'string') i++;
+                continue;
+            }
+            break;
+        }
+
+        const first = code[i];
+        if (!first) return true;
+        if (isGroup(first, '{')) return true;
+        if (isIdent(first) && BLOCK_INTRODUCERS.has(first.value)) return true;
+
+        // Macro invocations, possibly through a path like `cfg_if::cfg_if!`
+        let j = i;
+        while (isIdent(code[j]) && isPunct(code[j + 1], '::')) j += 2;
+        if (isIdent(code[j]) && isPunct(code[j + 1], '!')) return true;
+        return false;
+    }
+
+    // Split a list into printable entries: standalone comments, attributes and
+    // code items (statements, fields, match arms or list elements)
+    splitEntries(list, kind) {
+        const entries = [];
+        let tokens = [];
+        let blankBefore = false;
+        let separated = false;
+
+        const flush = () => {
+            if (tokens.length === 0) return;
+
+            // Comments at the end of an item trail it or stand on their own lines
+            const dangling = [];
+            while (tokens.length > 0 && isComment(tokens[tokens.length - 1])) {
+                dangling.unshift(tokens.pop());
+            }
+
+            let trailing = null;
+            if (dangling.length > 0 && dangling[0].newlinesBefore === 0 && tokens.length > 0) {
+                trailing = dangling.shift();
+            }
+
+            if (tokens.length > 0) {
+                entries.push({ type: 'code', tokens, blankBefore, trailing, separated });
+            }
+            for (const comment of dangling) {
+                entries.push({ type: 'comment', token: comment, blankBefore: comment.newlinesBefore > 1 });
+            }
+
+            tokens = [];
+            separated = false;
+        };
+
+        for (let i = 0; i < list.length; i++) {
+            const atom = list[i];
+
+            if (tokens.length === 0) {
+                if (isComment(atom)) {
+                    const last = entries[entries.length - 1];
+                    if (atom.newlinesBefore === 0 && last && ['code', 'attr'].includes(last.type) && !last.trailing) {
+                        last.trailing = atom;
+                    } else {
+                        entries.push({ type: 'comment', token: atom, blankBefore: atom.newlinesBefore > 1 });
+                    }
+                    continue;
+                }
+
+                if (isPunct(atom, '#') && atom.role === 'attr') {
+                    const attribute = [atom];
+                    let j = i + 1;
+                    while (j < list.length && !isGroup(list[j], '[')) attribute.push(list[j++]);
+                    attribute.push(list[j]);
+                    entries.push({ type: 'attr', tokens: attribute, blankBefore: atom.newlinesBefore > 1 });
+                    i = j;
+                    continue;
+                }
+
+                blankBefore = atom.newlinesBefore > 1;
+            }
+
+            if (kind !== 'block' && isSeparator(atom)) {
+                separated = true;
+                flush();
+                continue;
+            }
+
+            tokens.push(atom);
+
+            if (kind === 'block') {
+                if (isPunct(atom, ';')) {
+                    flush();
+                } else if (isGroup(atom, '{') && atom.kind !== 'literal' && atom.kind !== 'use') {
+                    const next = this.nextSignificant(list, i);
+                    // A block inside a condition, as in `if unsafe { x } == y {`, does not end the statement
+                    if (this.isBlockLikeStatement(tokens) && !isIdent(next, 'else') && !continuesExpression(next)) {
+                        if (isPunct(next, ';')) {
+                            i = list.indexOf(next);
+                            tokens.push(next);
+                        }
+                        flush();
+                    }
+                }
+            } else if (kind === 'match' && isGroup(atom, '{') && isPunct(this.previousSignificant(tokens, tokens.length - 1), '=>')) {
+                const next = this.nextSignificant(list, i);
+                if (!next || isPunct(next, ',') || !['.', '?'].includes(next.value)) {
+                    if (isPunct(next, ',')) i = list.indexOf(next);
+                    tokens.blockBody = true;
+                    flush();
+                }
+            }
+        }
+        flush();
+
+        return entries;
+    }
+
+    // Print the entries of a block-level list, one per line at `level`
+    printEntries(list, level, kind, { trailingComma = true } = {}) {
+        const entries = this.splitEntries(list, kind);
+        const lines = [];
+        const indent = this.indent(level);
+        const codeEntries = entries.filter(entry => entry.type === 'code');
+        const lastCode = codeEntries[codeEntries.length - 1];
+
+        entries.forEach((entry, index) => {
+            if (entry.blankBefore && index > 0) lines.push('');
+
+            if (entry.type === 'comment') {
+                lines.push(indent + this.tokenText(entry.token));
+                return;
+            }
+
+            if (entry.type === 'attr') {
+                const trailing = entry.trailing ? ' ' + this.tokenText(entry.trailing) : '';
+                lines.push(indent + this.renderTokens(entry.tokens, level, this.width(indent)) + trailing);
+                return;
+            }
+
+            const previous = entries[index - 1];
+            if (previous && previous.type === 'attr' && this.isSkipAttribute(previous.tokens)) {
+                const trailing = entry.trailing ? ' ' + this.tokenText(entry.trailing) : '';
+                lines.push(indent + this.renderVerbatim(entry.tokens, level) + (kind === 'fields' && entry.separated ? ',' : '') + trailing);
+                return;
+            }
+
+            let text = this.renderExpression(entry.tokens, level, this.width(indent));
+
+            if (kind === 'match') {
+                // `pat => { expr }` becomes `pat => expr,` when it fits on one line
+                const body = entry.tokens.blockBody && this.simpleBlockExpression(entry.tokens[entry.tokens.length - 1]);
+                if (body && !body.some(atom => atom.role === 'macro')) {
+                    const unwrapped = this.renderExpression([...entry.tokens.slice(0, -1), ...body], level, this.width(indent));
+                    if (!unwrapped.includes('\n') && this.width(indent + unwrapped) < this.printWidth) {
+                        text = unwrapped;
+                        entry.tokens.blockBody = false;
+                    }
+                }
+                if (!entry.tokens.blockBody) text += ',';
+            } else if (kind === 'fields') {
+                const isBase = RANGE_OPERATORS.has(significant(entry.tokens)[0]?.value);
+                if (!isBase && (entry !== lastCode || trailingComma)) text += ',';
+            }
+
+            if (entry.trailing) text += ' ' + this.tokenText(entry.trailing);
+            lines.push(indent + text);
+        });
+
+        return lines.join('\n');
+    }
+
+    isSkipAttribute(tokens) {
+        const group = tokens[tokens.length - 1];
+        return significant(group.children).map(atom => atom.value).join('') === 'rustfmt::skip';
+    }
+
+    // Render one statement or list item, breaking a method chain onto
+    // indented lines when it is too wide or follows a multi-line expression
+    renderExpression(atoms, level, column) {
+        const where = atoms.findIndex(atom => isIdent(atom, 'where'));
+        if (where !== -1) return this.renderWhereClause(atoms, where, level, column);
+
+        const header = this.renderControlHeader(atoms, level, column);
+        if (header !== null) return header;
+
+        const chain = this.findChain(atoms);
+        if (chain) {
+            const { dots, rootStart, end } = chain;
+            const lastDot = atoms.indexOf(dots[dots.length - 1]);
+            const parentMultiline = this.renderTokens(atoms.slice(0, lastDot), level, column).includes('\n');
+
+            // A last element spreading over several lines, like a call taking a
+            // closure, only needs the part of the chain before it to fit
+            const lastMultiline = this.flat(atoms.slice(lastDot, end)).includes('\n');
+            const measured = lastMultiline ? atoms.slice(0, lastDot) : atoms;
+            const tooWide = column + this.width(this.flat(measured).split('\n')[0]) > this.printWidth;
+            const chainText = this.flat(lastMultiline ? atoms.slice(rootStart, lastDot) : atoms.slice(rootStart, end));
+            const chainTooWide = dots.length > 1 && this.width(chainText) > this.limits.chain;
+
+            if (parentMultiline || tooWide || chainTooWide) {
+                // Elements line up with a root that ends in a block, like `})`,
+                // and are indented under anything else
+                const rootEnd = atoms.indexOf(dots[0]);
+                const root = atoms.slice(0, rootEnd);
+                const rootLast = this.previousSignificant(atoms, rootEnd);
+                const blockLike = isGroup(rootLast) && this.renderTokens(root, level, column).includes('\n') &&
+                    (isGroup(rootLast, '{') || rootLast.macro ||
+                        (isGroup(rootLast, '(') && this.listKind(rootLast, this.previousSignificant(atoms, atoms.indexOf(rootLast))) === 'call'));
+
+                return this.renderTokens(atoms, level, column, {
+                    breakBefore: new Set(dots),
+                    breakLevel: blockLike ? level : level + 1
+                });
+            }
+        }
+
+        return this.renderTokens(atoms, level, column);
+    }
+
+    // `if`, `while`, `for` and `match` headers may break like any expression,
+    // and the opening brace moves to its own line when they do
+    renderControlHeader(atoms, level, column) {
+        const code = significant(atoms);
+        const first = code[0];
+        const body = atoms[atoms.length - 1];
+        if (!isIdent(first) || !['if', 'while', 'for', 'match'].includes(first.value)) return null;
+        if (!isGroup(body, '{') || !['block', 'match'].includes(body.kind)) return null;
+        if (atoms.slice(0, -1).some(atom => isGroup(atom, '{') && ['block', 'match'].includes(atom.kind))) return null;
+
+        const headerAtoms = atoms.slice(0, -1);
+        const header = this.renderExpression(headerAtoms, level, column);
+        const lastLine = header.split('\n').pop();
+        const lastColumn = header.includes('\n') ? this.width(lastLine) : column + this.width(lastLine);
+        const block = this.renderGroup(body, level, this.width(this.indent(level)), headerAtoms[headerAtoms.length - 1]);
+
+        if (header.includes('\n') || lastColumn + 2 > this.printWidth) {
+            return `${header}\n${this.indent(level)}${block}`;
+        }
+        return `${header} ${block}`;
+    }
+
+    // Where clauses always go on their own lines, one predicate per line
+    renderWhereClause(atoms, where, level, column) {
+        const head = this.renderExpression(atoms.slice(0, where), level, column);
+        let end = where + 1;
+        while (end < atoms.length && !isGroup(atoms[end], '{') && !isPunct(atoms[end], ';')) end++;
+
+        const predicates = [[]];
+        let depth = 0;
+        for (const atom of atoms.slice(where + 1, end)) {
+            if (atom.role === 'generic-open') depth++;
+            if (atom.role === 'generic-close') depth--;
+            if (isPunct(atom, ',') && depth === 0) {
+                predicates.push([]);
+            } else {
+                predicates[predicates.length - 1].push(atom);
+            }
+        }
+
+        const tail = atoms[end];
+        const indent = this.indent(level + 1);
+        const lines = predicates
+            .filter(predicate => predicate.length > 0)
+            .map(predicate => indent + this.renderTokens(predicate, level + 1, this.width(indent)));
+        const clause = lines.join(',\n') + (isPunct(tail, ';') ? ';' : ',');
+
+        let text = `${head}\n${this.indent(level)}where\n${clause}`;
+        if (isGroup(tail, '{')) {
+            const body = tail.children.length > 0
+                ? this.renderGroup(tail, level, this.width(this.indent(level)), null)
+                : `${this.tokenText(tail.open)}\n${this.indent(level)}${this.tokenText(tail.close)}`;
+            text += `\n${this.indent(level)}${body}`;
+        }
+        return text;
+    }
+
+    // The expression tokens of a block holding nothing but one simple
+    // expression, or null. Used to drop braces rustfmt considers redundant.
+    simpleBlockExpression(group) {
+        if (!isGroup(group, '{') || group.kind !== 'block' || group.macro) return null;
+
+        const entries = this.splitEntries(group.children, 'block');
+        if (entries.length !== 1 || entries[0].type !== 'code' || entries[0].trailing) return null;
+
+        const tokens = entries[0].tokens;
+        const first = significant(tokens)[0];
+        const statementLike = isIdent(first) && (BLOCK_INTRODUCERS.has(first.value) ||
+            ['let', 'return', 'break', 'continue', 'loop', 'const', 'static', 'use'].includes(first.value));
+        const hasBlock = tokens.some(atom => isGroup(atom, '{') && ['block', 'match', 'fields'].includes(atom.kind));
+        if (statementLike || hasBlock || tokens.some(atom => isPunct(atom, ';') || isComment(atom) || isPunct(atom, '#'))) {
+            return null;
+        }
+        return tokens;
+    }
+
+    // Find a method chain at the end of `atoms`: a root expression followed
+    // by `.field` and `.method()` elements. Returns the dots to break before.
+    findChain(atoms) {
+        let end = atoms.length;
+        while (end > 0 && (isPunct(atoms[end - 1], ';') || isComment(atoms[end - 1]))) end--;
+
+        const dots = [];
+        let genericDepth = 0;
+        let i = end - 1;
+        for (; i >= 0; i--) {
+            const atom = atoms[i];
+            if (genericDepth > 0) {
+                if (atom.role === 'generic-close') genericDepth++;
+                if (atom.role === 'generic-open') genericDepth--;
+                continue;
+            }
+
+            if (isPunct(atom, '.')) {
+                dots.unshift(atom);
+            } else if (atom.role === 'generic-close') {
+                genericDepth++;
+            } else {
+                const chainable = (isGroup(atom) && atom.open.value !== '{') ||
+                    (isIdent(atom) && endsOperand(atom)) ||
+                    ['number', 'string', 'char'].includes(atom.type) ||
+                    (isPunct(atom) && ['?', '::'].includes(atom.value) && atom.role !== 'maybe') ||
+                    atom.role === 'macro';
+                if (!chainable) break;
+            }
+        }
+
+        const rootStart = i + 1;
+        if (dots.length === 0 || atoms.indexOf(dots[0]) === rootStart) return null;
+        return { dots, rootStart, end };
+    }
+
+    // Render atoms on a single line wherever the syntax allows, for measuring
+    flat(atoms) {
+        const saved = this.flatMode;
+        this.flatMode = true;
+        try {
+            return this.renderTokens(atoms, 0, 0);
+        } finally {
+            this.flatMode = saved;
+        }
+    }
+
+    spaceBetween(prev, cur) {
+        if (!prev) return '';
+
+        const p = prev.type === 'group' ? prev.close : prev;
+        const c = cur.type === 'group' ? cur.open : cur;
+
+        if (isComment(c) || isComment(p)) return ' ';
+        if (p.role === 'attr') return '';
+
+        if (isPunct(c) && [',', ';', '.'].includes(c.value)) return '';
+        if (isPunct(c, ':')) return '';
+        if (isPunct(c, '?') && c.role !== 'maybe') return '';
+        if (isPunct(c, '::')) return (isIdent(p) || p.role === 'generic-close') ? '' : ' ';
+        if (isPunct(p, '::') || isPunct(p, '.')) return '';
+        if (isPunct(p) && [',', ';', ':'].includes(p.value)) return ' ';
+
+        if (isPunct(c) && RANGE_OPERATORS.has(c.value)) return endsOperand(prev) ? '' : ' ';
+        if (isPunct(p) && RANGE_OPERATORS.has(p.value)) return isGroup(cur, '{') ? ' ' : '';
+
+        if (c.role === 'macro') return '';
+        if (p.role === 'macro') return isGroup(cur, '{') || isIdent(cur) ? ' ' : '';
+
+        if (p.role === 'unary' || p.role === 'maybe' || p.role === 'closure-open' || p.role === 'generic-open') return '';
+        if (c.role === 'closure-close' || c.role === 'generic-close') return '';
+        if (c.role === 'generic-open') {
+            return isIdent(p) || isPunct(p, '::') ? '' : ' ';
+        }
+
+        if (isGroup(cur, '(')) {
+            if (endsOperand(prev) || isIdent(p, 'fn')) return '';
+            return ' ';
+        }
+        if (isGroup(cur, '[')) {
+            return endsOperand(prev) ? '' : ' ';
+        }
+
+        return ' ';
+    }
+
+    // Render a run of atoms on as few lines as possible. `column` is where the
+    // first atom starts, nested blocks are indented relative to `level`.
+    renderTokens(atoms, level, column, { breakBefore = null, breakLevel = level + 1, forceBreak = null } = {}) {
+        let out = '';
+        let lineLevel = level;
+        let prev = null;
+        let pendingBreak = false;
+        let closureReturn = false;
+
+        const currentColumn = () => {
+            const newline = out.lastIndexOf('\n');
+            return newline === -1 ? column + this.width(out) : this.width(out.slice(newline + 1));
+        };
+
+        for (const atom of atoms) {
+            const ownLineComment = isComment(atom) && atom.newlinesBefore > 0 && prev !== null;
+            if (pendingBreak || ownLineComment || (breakBefore && breakBefore.has(atom))) {
+                lineLevel = pendingBreak || ownLineComment ? Math.max(lineLevel, level + 1) : breakLevel;
+                out += '\n' + this.indent(lineLevel);
+                pendingBreak = false;
+            } else {
+                out += this.spaceBetween(prev, atom);
+            }
+
+            const closureBody = isGroup(atom, '{') && (['closure-close', 'closure-empty'].includes(prev?.role) || closureReturn)
+                ? this.simpleBlockExpression(atom)
+                : null;
+            const bodyText = closureBody ? this.flat(closureBody) : '';
+            const braces = closureReturn ? 4 : 0;
+
+            if (closureBody && !bodyText.includes('\n') &&
+                currentColumn() + this.width(bodyText) + braces <= this.printWidth) {
+                // `|x| { x + 1 }` loses its redundant braces, which a closure
+                // with a return type needs but keeps on one line
+                out += closureReturn
+                    ? `${this.tokenText(atom.open)} ${bodyText} ${this.tokenText(atom.close)}`
+                    : this.renderTokens(closureBody, lineLevel, currentColumn());
+            } else if (atom.type === 'group') {
+                const force = Boolean(forceBreak && forceBreak.has(atom));
+                out += this.renderGroup(atom, lineLevel, currentColumn(), prev, force);
+            } else {
+                out += this.tokenText(atom);
+                if (isLineComment(atom)) pendingBreak = true;
+            }
+
+            if (isPunct(atom, '->')) {
+                closureReturn = ['closure-close', 'closure-empty'].includes(prev?.role);
+            } else if (isGroup(atom, '{')) {
+                closureReturn = false;
+            }
+
+            prev = atom;
+        }
+
+        return out;
+    }
+
+    // Layouts only depend on where a group starts, so they are cached per position
+    renderGroup(group, level, column, prev, forceBreak = false) {
+        const key = this.flatMode ? `flat:${forceBreak}` : `${level}:${column}:${forceBreak}`;
+        if (!group.layouts) group.layouts = new Map();
+        if (!group.layouts.has(key)) {
+            group.layouts.set(key, this.layoutGroup(group, level, column, prev, forceBreak));
+        }
+        return group.layouts.get(key);
+    }
+
+    layoutGroup(group, level, column, prev, forceBreak) {
+        if (group.macro) return this.renderVerbatim([group], level);
+
+        const open = group.open.value;
+        const openText = this.tokenText(group.open);
+        const close = this.tokenText(group.close);
+        const children = group.children;
+
+        if (open === '{' && ['block', 'match', 'fields'].includes(group.kind)) {
+            if (children.length === 0) return openText + close;
+            if (group.ifElse && this.ifElseFitsOnLine(group.ifElse)) {
+                return `${openText} ${this.flat(children)} ${close}`;
+            }
+            if (group.expressionBlock && this.simpleBlockExpression(group)) {
+                const inline = `${openText} ${this.flat(significant(children))} ${close}`;
+                if (!inline.includes('\n') && column + this.width(inline) <= this.printWidth) return inline;
+            }
+            const body = this.printEntries(children, level + 1, group.kind);
+            return `${openText}\n${body}\n${this.indent(level)}${close}`;
+        }
+
+        const listKind = this.listKind(group, prev);
+        const commas = children.filter(isSeparator);
+        const hasComment = children.some(isLineComment);
+
+        // Trailing commas are dropped when the group stays on one line,
+        // except for one-element tuples where the comma is meaningful
+        const inlineChildren = [...children];
+        const lastSignificant = significant(inlineChildren).pop();
+        const isOneTuple = listKind === 'tuple' && commas.length === 1 && lastSignificant === commas[0];
+        if (isPunct(lastSignificant, ',') && !isOneTuple) {
+            inlineChildren.splice(inlineChildren.lastIndexOf(lastSignificant), 1);
+        }
+
+        const padding = listKind === 'literal' && inlineChildren.length > 0 ? ' ' : '';
+        const innerColumn = column + this.width(openText) + padding.length;
+        const inline = openText + padding + this.renderTokens(inlineChildren, level, innerColumn) + padding + close;
+
+        if (listKind === 'attribute') {
+            // Attributes taking arbitrary tokens, like `#[filter(!#x)]`, are left alone
+            const plain = (list) => list.every(atom => atom.type === 'group'
+                ? plain(atom.children)
+                : !isPunct(atom) || [',', '::', '=', '.', '-'].includes(atom.value));
+            return plain(children) ? inline : this.renderVerbatim([group], level);
+        }
+        if (this.flatMode || children.length === 0) return inline;
+
+        // Some lists can't take a trailing comma, so they never break
+        const breakable = listKind !== 'index' &&
+            !significant(children).some(atom => isPunct(atom, ';')) &&
+            (commas.length > 0 || ['call', 'params', 'literal', 'use'].includes(listKind) || hasComment);
+        if (!breakable) return inline;
+
+        // A use list holding a nested list with several names always breaks
+        const nestedUseList = listKind === 'use' && children.some(atom => isGroup(atom, '{') && atom.children.some(isSeparator));
+
+        if (!forceBreak && !hasComment && !nestedUseList) {
+            const limit = {
+                call: this.limits.call,
+                array: this.limits.array,
+                literal: this.limits.structLiteral
+            }[listKind] ?? Infinity;
+
+            const firstLine = inline.split('\n')[0];
+            const fits = column + this.width(firstLine) <= this.printWidth;
+            const multiline = inline.includes('\n');
+            // A closure passed last only has to fit the line, not the call width
+            const lastComma = inlineChildren.findLastIndex(isSeparator);
+            const lastElement = significant(inlineChildren.slice(lastComma + 1));
+            const closureLast = listKind === 'call' && lastElement.length > 0 &&
+                (['closure-open', 'closure-empty'].includes(lastElement[0].role) || isIdent(lastElement[0], 'move'));
+            const withinLimit = multiline || closureLast || this.width(this.flat(inlineChildren)) <= limit;
+
+            // Only the final group of the last element may spread over several
+            // lines, and only when that element is a closure, block or sole call
+            const finalGroup = inlineChildren.findLastIndex(atom => atom.type === 'group');
+            const blockExpression = isIdent(lastElement[0]) && ['if', 'match', 'loop', 'unsafe', 'async'].includes(lastElement[0].value);
+            const multilineFrom = blockExpression ? lastComma : finalGroup;
+            const leadingMultiline = multiline && (multilineFrom === -1 && !blockExpression ||
+                this.renderTokens(inlineChildren.slice(0, Math.max(0, multilineFrom)), level, innerColumn).includes('\n'));
+            const multilineAllowed = !multiline ||
+                (listKind === 'call' && !leadingMultiline &&
+                    this.isOverflowable(inlineChildren.slice(lastComma + 1), inlineChildren.filter(isSeparator).length + 1)) ||
+                (['params', 'paren'].includes(listKind) && !leadingMultiline) ||
+                (['array', 'tuple'].includes(listKind) && commas.length === 0);
+
+            if (fits && withinLimit && multilineAllowed) return inline;
+
+            const overflow = this.overflowLastElement(group, inlineChildren, listKind, level, column, innerColumn);
+            if (overflow) return overflow;
+        }
+
+        if (listKind === 'use' && !hasComment) {
+            const body = this.printUseList(children, level + 1);
+            return `${openText}\n${body}\n${this.indent(level)}${close}`;
+        }
+
+        if (group.macroName && open === '(') {
+            const body = this.printMacroArguments(children, level + 1, isPunct(lastSignificant, ','));
+            return `${openText}\n${body}\n${this.indent(level)}${close}`;
+        }
+
+        const trailingComma = commas.length > 0 || listKind !== 'paren';
+        const body = this.printEntries(children, level + 1, 'fields', { trailingComma });
+        return `${openText}\n${body}\n${this.indent(level)}${close}`;
+    }
+
+    // Names in a broken use list are packed onto as few lines as fit, while
+    // nested lists with several names get a line of their own
+    printUseList(children, level) {
+        const indent = this.indent(level);
+        const lines = [];
+        let line = '';
+
+        for (const entry of this.splitEntries(children, 'fields')) {
+            const text = this.renderTokens(entry.tokens, level, this.width(indent)) + ',';
+            const nested = entry.tokens.some(atom => isGroup(atom, '{') && atom.children.some(isSeparator));
+
+            if (nested || text.includes('\n')) {
+                if (line) lines.push(line);
+                lines.push(indent + text);
+                line = '';
+            } else if (line && this.width(`${line} ${text}`) <= this.printWidth) {
+                line += ` ${text}`;
+            } else {
+                if (line) lines.push(line);
+                line = indent + text;
+            }
+        }
+        if (line) lines.push(line);
+
+        return lines.join('\n');
+    }
+
+    // Macro calls keep their own trailing comma, and the arguments after a
+    // format string share a line when they are all plain names or literals
+    printMacroArguments(children, level, trailingComma) {
+        const entries = this.splitEntries(children, 'fields');
+        const formatIndex = entries.findIndex(entry =>
+            entry.type === 'code' && entry.tokens.length === 1 && entry.tokens[0].type === 'string');
+        const rest = entries.slice(formatIndex + 1);
+        const simple = formatIndex !== -1 && rest.length > 0 && rest.every(entry =>
+            entry.type === 'code' && !entry.trailing && entry.tokens.length === 1 &&
+            ['ident', 'number', 'string', 'char'].includes(entry.tokens[0].type));
+
+        if (simple) {
+            const indent = this.indent(level);
+            const packed = indent + rest.map(entry => this.tokenText(entry.tokens[0])).join(', ') + (trailingComma ? ',' : '');
+            if (this.width(packed) <= this.printWidth) {
+                const leading = this.printEntries(children.slice(0, children.indexOf(rest[0].tokens[0])), level, 'fields');
+                return `${leading}\n${packed}`;
+            }
+        }
+
+        return this.printEntries(children, level, 'fields', { trailingComma });
+    }
+
+    // Keep `foo(&[` or `foo(bar(` on one line and break the sole argument
+    // instead of the whole argument list, the way rustfmt does
+    overflowLastElement(group, inlineChildren, listKind, level, column, innerColumn) {
+        if (listKind !== 'call' || inlineChildren.some(isSeparator)) return null;
+
+        const last = inlineChildren[inlineChildren.length - 1];
+        if (!isGroup(last) || !this.isOverflowable(inlineChildren, 1)) return null;
+        if (isGroup(last, '{') && last.kind !== 'literal') return null;
+
+        const text = this.tokenText(group.open) +
+            this.renderTokens(inlineChildren, level, innerColumn, { forceBreak: new Set([last]) }) +
+            this.tokenText(group.close);
+        if (column + this.width(text.split('\n')[0]) > this.printWidth) return null;
+        return text;
+    }
+
+    // Whether the last argument of a call may continue over several lines
+    // after the call opened. Closures and blocks always may, calls, literals,
+    // arrays and tuples only when they are the sole argument.
+    isOverflowable(atoms, argumentCount) {
+        const code = significant(atoms);
+        while (code.length > 0 && (code[0].role === 'unary' || isIdent(code[0], 'mut'))) code.shift();
+        if (code.length === 0) return false;
+
+        const first = code[0];
+        const last = code[code.length - 1];
+        if (['closure-open', 'closure-empty'].includes(first.role) || isIdent(first, 'move')) return true;
+        if (!isGroup(last)) return false;
+        if (isGroup(last, '{') && ['block', 'match'].includes(last.kind)) return true;
+
+        const callLike = code.every(atom => atom.type === 'group' || atom.type === 'ident' || atom.type === 'lifetime' ||
+            ['macro', 'generic-open', 'generic-close'].includes(atom.role) ||
+            (isPunct(atom) && ['.', '::', '?', ',', ':'].includes(atom.value)));
+        return callLike && argumentCount === 1;
+    }
+
+    // What a (), [] or {} list is, which decides how it may break
+    listKind(group, prev) {
+        const open = group.open.value;
+        if (isPunct(prev, '#') || (isPunct(prev, '!') && prev.role === 'attr')) return 'attribute';
+
+        if (open === '{') return group.kind === 'use' ? 'use' : 'literal';
+        if (open === '[') {
+            if (isPunct(prev, '!')) return 'array';
+            return endsOperand(prev) ? 'index' : 'array';
+        }
+        if (group.params) return 'params';
+        if (endsOperand(prev) || isPunct(prev, '!')) return 'call';
+        return group.children.some(isSeparator) ? 'tuple' : 'paren';
+    }
+
+    // `let x = if a { b } else { c };` stays on one line when both branches are
+    // single short expressions
+    ifElseFitsOnLine(ifElse) {
+        if (ifElse.fits === undefined) {
+            const simple = ifElse.blocks.every(block => {
+                const entries = this.splitEntries(block.children, 'block');
+                return entries.length === 1 && entries[0].type === 'code' && !entries[0].trailing &&
+                    !entries[0].tokens.some(atom => isPunct(atom, ';') || isGroup(atom, '{') || isComment(atom));
+            });
+            const text = simple ? this.flat(ifElse.condition) : '';
+            const width = ifElse.blocks.reduce((total, block) => total + this.width(this.flat(block.children)), 0);
+            ifElse.fits = simple && !text.includes('\n') &&
+                this.width(text) + width + 'if  {  } else {  }'.length <= this.limits.ifElse;
+        }
+        return ifElse.fits;
+    }
+
+    // Macro input and skipped items are reproduced as written, shifted to the
+    // indentation of the line they now start on
+    renderVerbatim(atoms, level) {
+        const firstToken = (atom) => atom.type === 'group' ? atom.open : atom;
+        const lastToken = (atom) => atom.type === 'group' ? atom.close : atom;
+        const start = firstToken(atoms[0]);
+        const end = lastToken(atoms[atoms.length - 1]);
+        let text = this.source.slice(start.start, end.end);
+
+        if (this.cursorOffset !== undefined && this.cursorOffset >= start.start && this.cursorOffset < end.end) {
+            const at = this.cursorOffset - start.start;
+            text = text.slice(0, at) + CURSOR_MARK + text.slice(at);
+        }
+
+        if (!text.includes('\n')) return text;
+
+        // Lines that start inside a multi-line string or comment must stay untouched
+        const protectedLines = new Set();
+        const collect = (list) => {
+            for (const atom of list) {
+                if (atom.type === 'group') {
+                    collect(atom.children);
+                } else if ((atom.type === 'string' || atom.type === 'comment') && atom.value.includes('\n')) {
+                    const first = atom.line - start.line;
+                    const count = atom.value.split('\n').length - 1;
+                    for (let i = 1; i <= count; i++) protectedLines.add(first + i);
+                }
+            }
+        };
+        collect(atoms);
+
+        const indentWidth = (line) => this.width(/^[ \t]*/.exec(line)[0]);
+        const openLine = this.source.slice(this.source.lastIndexOf('\n', start.start - 1) + 1, start.start);
+        const shift = this.width(this.indent(level)) - indentWidth(openLine);
+
+        return text.split('\n').map((line, index) => {
+            if (protectedLines.has(index)) return line;
+            // Trailing whitespace may belong to a string continuing on the next line
+            const content = protectedLines.has(index + 1) ? line : line.trimEnd();
+            if (index === 0 || content.trim() === '') return index === 0 ? content : '';
+
+            const width = Math.max(0, indentWidth(content) + shift);
+            const indent = this.useTabs
+                ? '\t'.repeat(Math.floor(width / this.tabWidth)) + ' '.repeat(width % this.tabWidth)
+                : ' '.repeat(width);
+            return indent + content.trimStart();
+        }).join('\n');
+    }
+}
+
+function formatRust(code, options = {}) {
+    return new RustFormatter(options).format(code).replace(CURSOR_MARK, '');
+}
+
+// Format and map a cursor offset into the output, like prettier.formatWithCursor.
+// The cursor is null if it sat on text the formatter removed.
+function formatRustWithCursor(code, options = {}, cursorOffset = 0) {
+    if (code.includes(CURSOR_MARK)) {
+        return { formatted: formatRust(code, options), cursorOffset: null };
+    }
+
+    const marked = new RustFormatter(options).format(code, cursorOffset);
+    const index = marked.indexOf(CURSOR_MARK);
+    return {
+        formatted: marked.replace(CURSOR_MARK, ''),
+        cursorOffset: index === -1 ? null : index
+    };
+}
+
+module.exports = {
+    RustSyntaxError,
+    formatRust,
+    formatRustWithCursor
+};
@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Version of a formatter written in this repo, for cache keys. A hash of its
+// source files, so any change to the code gets new keys and output cached by
+// an earlier deploy is no longer served.
+function sourceVersion(...files) {
+    const hash = crypto.createHash('sha256');
+    for (const file of files) {
+        hash.update(fs.readFileSync(file));
+    }
+    return hash.digest('hex').slice(0, 12);
+}
+
+module.exports = { sourceVersion };
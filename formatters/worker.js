@@ -0,0 +1,30 @@
+const { parentPort, workerData } = require('worker_threads');
+const formatters = require('./index');
+const { loadPlugins } = require('./plugins');
+const { compareFormatting } = require('./diff');
+
+// Formatting runs here, off the server's event loop. Jobs arrive one at a time.
+const ready = loadPlugins(formatters, workerData.pluginsDir, { quiet: true });
+
+async function runTask({ type, code, language, options, range, cursorOffset, organizeImports, codeBlocks, style, lineEndings, original, formatted, filename }) {
+    if (type === 'compare') return compareFormatting(original, formatted, filename);
+
+    await ready;
+    return formatters.format(code, language, options, { range, cursorOffset, organizeImports, codeBlocks, style, lineEndings });
+}
+
+parentPort.on('message', async ({ id, ...task }) => {
+    try {
+        const result = await runTask(task);
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({
+            id,
+            error: {
+                name: error.name,
+                message: error.message,
+                ...(error.loc && { loc: error.loc })
+            }
+        });
+    }
+});
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+// One editor's live formatting session. Revisions are queued per document but
+// formatted one at a time for the whole session, so a session never has more
+// than one format in the pool. Only the newest waiting revision of a document
+// is formatted, older ones are dropped, and a result is only sent if no newer
+// revision of its document arrived while it was formatted.
+class LiveSession {
+    // format(payload) -> { type, data, usage? } turns a revision into the event
+    // to send, record(usage) bills a delivered result and send(type, data)
+    // writes an event to the stream
+    constructor({ user, apiKey = null, profile = null, client = {}, maxDocuments, format, record, send }) {
+        this.id = crypto.randomBytes(24).toString('base64url');
+        // Posting revisions needs this instead of the user's credentials
+        this.token = crypto.randomBytes(32).toString('base64url');
+        this.user = user;
+        this.apiKey = apiKey;
+        this.profile = profile;
+        this.client = client;
+        this.maxDocuments = maxDocuments;
+        this.documents = new Map();
+        // Documents with a revision waiting, in the order they arrived
+        this.waiting = [];
+        this.running = false;
+        this.controller = new AbortController();
+        this.signal = this.controller.signal;
+        this.format = format;
+        this.record = record;
+        this.send = send;
+    }
+
+    authenticate(token) {
+        if (typeof token !== 'string') return false;
+        const given = Buffer.from(token);
+        const expected = Buffer.from(this.token);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    // Queue a revision. Answers { status, body } for the HTTP response.
+    submit(payload) {
+        const name = payload.document || 'default';
+        let document = this.documents.get(name);
+        if (!document) {
+            if (this.documents.size >= this.maxDocuments) {
+                return {
+                    status: 429,
+                    body: {
+                        error: 'Too many documents',
+                        details: `A live session can format at most ${this.maxDocuments} documents`
+                    }
+                };
+            }
+            document = { latest: -1, pending: null };
+            this.documents.set(name, document);
+        }
+
+        const { revision } = payload;
+        if (revision <= document.latest) {
+            return {
+                status: 409,
+                body: {
+                    error: 'Stale revision',
+                    details: `Revision ${revision} is not newer than revision ${document.latest}`
+                }
+            };
+        }
+
+        if (document.pending) {
+            this.emit('dropped', { document: name, revision: document.pending.revision, reason: 'superseded' });
+        } else {
+            this.waiting.push(name);
+        }
+        document.latest = revision;
+        document.pending = payload;
+
+        if (!this.running) {
+            this.drain().catch(error => console.error('Live session error:', error.message));
+        }
+        return { status: 202, body: { document: name, revision, status: 'queued' } };
+    }
+
+    async drain() {
+        this.running = true;
+        try {
+            while (this.waiting.length > 0 && !this.signal.aborted) {
+                const name = this.waiting.shift();
+                const document = this.documents.get(name);
+                const payload = document.pending;
+                document.pending = null;
+
+                let event;
+                try {
+                    event = await this.format(payload);
+                } catch (error) {
+                    // Formats still running when the client disconnects are cancelled
+                    if (this.signal.aborted) return;
+                    console.error('Live formatting error:', error.message);
+                    continue;
+                }
+                // The client is gone, the result can't be delivered
+                if (this.signal.aborted) return;
+
+                // A newer revision arrived while this one was formatted
+                if (payload.revision !== document.latest) {
+                    this.emit('dropped', { document: name, revision: payload.revision, reason: 'superseded' });
+                    continue;
+                }
+
+                this.emit(event.type, { document: name, revision: payload.revision, ...event.data });
+                if (event.usage) await this.record(event.usage);
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    emit(type, data) {
+        if (!this.signal.aborted) this.send(type, data);
+    }
+
+    close() {
+        this.controller.abort();
+    }
+}
+
+module.exports = { LiveSession };
@@ -0,0 +1,151 @@
+// JSON-RPC 2.0 over the LSP base protocol: messages framed by a
+// Content-Length header, read from one stream and written to another
+
+const ErrorCodes = {
+    ParseError: -32700,
+    InvalidRequest: -32600,
+    MethodNotFound: -32601,
+    InvalidParams: -32602,
+    InternalError: -32603,
+    ServerNotInitialized: -32002,
+    RequestFailed: -32803,
+    ContentModified: -32801,
+    RequestCancelled: -32800
+};
+
+class ResponseError extends Error {
+    constructor(code, message, data) {
+        super(message);
+        this.name = 'ResponseError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+class Connection {
+    constructor(input, output) {
+        this.input = input;
+        this.output = output;
+        this.buffer = Buffer.alloc(0);
+        this.requestHandlers = new Map();
+        this.notificationHandlers = new Map();
+        // Requests being handled, so $/cancelRequest can abort them
+        this.pending = new Map();
+
+        this.onNotification('$/cancelRequest', ({ id }) => {
+            this.pending.get(id)?.abort();
+        });
+    }
+
+    onRequest(method, handler) {
+        this.requestHandlers.set(method, handler);
+    }
+
+    onNotification(method, handler) {
+        this.notificationHandlers.set(method, handler);
+    }
+
+    sendNotification(method, params) {
+        this.write({ jsonrpc: '2.0', method, params });
+    }
+
+    listen() {
+        this.input.on('data', chunk => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.readMessages();
+        });
+    }
+
+    readMessages() {
+        while (true) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) return;
+
+            const headers = this.buffer.subarray(0, headerEnd).toString('ascii');
+            const match = headers.match(/^Content-Length:\s*(\d+)$/im);
+            if (!match) {
+                // Without a length the stream can't be resynchronised, drop what we have
+                this.buffer = Buffer.alloc(0);
+                return;
+            }
+
+            const length = parseInt(match[1]);
+            const bodyStart = headerEnd + 4;
+            if (this.buffer.length < bodyStart + length) return;
+
+            const body = this.buffer.subarray(bodyStart, bodyStart + length).toString('utf8');
+            this.buffer = this.buffer.subarray(bodyStart + length);
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                this.respondError(null, new ResponseError(ErrorCodes.ParseError, 'Invalid JSON'));
+                continue;
+            }
+            this.handleMessage(message);
+        }
+    }
+
+    async handleMessage(message) {
+        // Responses to server-initiated requests aren't used
+        if (!message.method) return;
+
+        if (message.id === undefined) {
+            const handler = this.notificationHandlers.get(message.method);
+            try {
+                await handler?.(message.params);
+            } catch (error) {
+                console.error(`Notification ${message.method} failed:`, error.message);
+            }
+            return;
+        }
+
+        const handler = this.requestHandlers.get(message.method);
+        if (!handler) {
+            this.respondError(message.id, new ResponseError(ErrorCodes.MethodNotFound, `Unhandled method ${message.method}`));
+            return;
+        }
+
+        const controller = new AbortController();
+        this.pending.set(message.id, controller);
+        try {
+            const result = await handler(message.params, { signal: controller.signal });
+            if (controller.signal.aborted) {
+                this.respondError(message.id, new ResponseError(ErrorCodes.RequestCancelled, 'Request cancelled'));
+            } else {
+                this.write({ jsonrpc: '2.0', id: message.id, result: result ?? null });
+            }
+        } catch (error) {
+            this.respondError(message.id, controller.signal.aborted
+                ? new ResponseError(ErrorCodes.RequestCancelled, 'Request cancelled')
+                : error);
+        } finally {
+            this.pending.delete(message.id);
+        }
+    }
+
+    respondError(id, error) {
+        const code = error instanceof ResponseError ? error.code : ErrorCodes.InternalError;
+        this.write({
+            jsonrpc: '2.0',
+            id,
+            error: {
+                code,
+                message: error.message,
+                ...(error.data !== undefined && { data: error.data })
+            }
+        });
+    }
+
+    write(message) {
+        const body = JSON.stringify(message);
+        this.output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+    }
+}
+
+module.exports = {
+    Connection,
+    ResponseError,
+    ErrorCodes
+};
@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { Connection, ResponseError, ErrorCodes } = require('./connection');
+const { SpeedFormatterClient, ApiError } = require('../client/api');
+const { version } = require('../package.json');
+
+// Language server that formats documents through the formatting API, so any
+// LSP-capable editor can use the service. Speaks LSP over stdin/stdout.
+
+// Editor language ids the API knows under another name
+const LANGUAGE_IDS = {
+    javascriptreact: 'javascript',
+    typescriptreact: 'typescript'
+};
+
+const TextDocumentSyncKind = { Full: 1 };
+const DiagnosticSeverity = { Error: 1, Warning: 2 };
+const MessageType = { Error: 1, Warning: 2, Info: 3, Log: 4 };
+
+// Offsets are UTF-16 code units, the same as JavaScript string indexes
+function lineStarts(text) {
+    const starts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\r' && text[i + 1] === '\n') i++;
+        if (text[i] === '\n' || text[i] === '\r') starts.push(i + 1);
+    }
+    return starts;
+}
+
+function offsetAt(text, { line, character }) {
+    const starts = lineStarts(text);
+    if (line >= starts.length) return text.length;
+    const lineEnd = line + 1 < starts.length ? starts[line + 1] : text.length;
+    return Math.min(starts[line] + character, lineEnd);
+}
+
+function positionAt(text, offset) {
+    const starts = lineStarts(text);
+    let line = 0;
+    while (line + 1 < starts.length && starts[line + 1] <= offset) line++;
+    return { line, character: offset - starts[line] };
+}
+
+// One edit covering only what changed, so editors keep cursors and folds elsewhere
+function minimalEdits(original, formatted) {
+    if (original === formatted) return [];
+
+    let prefix = 0;
+    const maxPrefix = Math.min(original.length, formatted.length);
+    while (prefix < maxPrefix && original[prefix] === formatted[prefix]) prefix++;
+
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (suffix < maxSuffix &&
+           original[original.length - 1 - suffix] === formatted[formatted.length - 1 - suffix]) {
+        suffix++;
+    }
+
+    // Don't split a CRLF pair between the kept and replaced text
+    if (original[prefix - 1] === '\r' && original[prefix] === '\n') prefix--;
+    const end = original.length - suffix;
+    if (suffix > 0 && original[end - 1] === '\r' && original[end] === '\n') suffix--;
+
+    return [{
+        range: {
+            start: positionAt(original, prefix),
+            end: positionAt(original, original.length - suffix)
+        },
+        newText: formatted.slice(prefix, formatted.length - suffix)
+    }];
+}
+
+// API diagnostics use 1-based lines and columns
+function toLspDiagnostic(diagnostic) {
+    const start = { line: diagnostic.line - 1, character: diagnostic.column - 1 };
+    const end = { line: (diagnostic.end_line || diagnostic.line) - 1, character: (diagnostic.end_column || diagnostic.column) - 1 };
+    if (end.line === start.line && end.character <= start.character) {
+        end.character = start.character + 1;
+    }
+    return {
+        range: { start, end },
+        severity: diagnostic.severity === 'warning' ? DiagnosticSeverity.Warning : DiagnosticSeverity.Error,
+        source: 'speed-formatter',
+        message: diagnostic.message
+    };
+}
+
+class SpeedFormatterLanguageServer {
+    constructor(connection, settings = {}) {
+        this.connection = connection;
+        this.documents = new Map();
+        this.settings = settings;
+        this.client = SpeedFormatterClient.fromEnv({ userAgent: `speed-formatter-lsp/${version}` });
+        this.shutdownRequested = false;
+
+        connection.onRequest('initialize', params => this.initialize(params));
+        connection.onRequest('shutdown', () => {
+            this.shutdownRequested = true;
+            return null;
+        });
+        connection.onNotification('exit', () => process.exit(this.shutdownRequested ? 0 : 1));
+        connection.onNotification('workspace/didChangeConfiguration', ({ settings }) => {
+            this.configure(settings?.speedFormatter);
+        });
+
+        connection.onNotification('textDocument/didOpen', ({ textDocument }) => {
+            this.documents.set(textDocument.uri, {
+                uri: textDocument.uri,
+                languageId: textDocument.languageId,
+                version: textDocument.version,
+                text: textDocument.text
+            });
+        });
+        connection.onNotification('textDocument/didChange', ({ textDocument, contentChanges }) => {
+            const document = this.documents.get(textDocument.uri);
+            if (!document || contentChanges.length === 0) return;
+            document.version = textDocument.version;
+            document.text = contentChanges[contentChanges.length - 1].text;
+            // Reported positions no longer match the text
+            if (document.hasDiagnostics) this.publishDiagnostics(document.uri, []);
+        });
+        connection.onNotification('textDocument/didClose', ({ textDocument }) => {
+            this.documents.delete(textDocument.uri);
+            this.publishDiagnostics(textDocument.uri, []);
+        });
+
+        connection.onRequest('textDocument/formatting', (params, context) =>
+            this.format(params, {}, context));
+        connection.onRequest('textDocument/rangeFormatting', (params, context) =>
+            this.formatRange(params, context));
+        connection.onRequest('textDocument/onTypeFormatting', (params, context) =>
+            this.formatOnType(params, context));
+    }
+
+    initialize({ initializationOptions }) {
+        this.configure(initializationOptions);
+
+        return {
+            capabilities: {
+                textDocumentSync: { openClose: true, change: TextDocumentSyncKind.Full },
+                documentFormattingProvider: true,
+                documentRangeFormattingProvider: true,
+                documentOnTypeFormattingProvider: {
+                    firstTriggerCharacter: '}',
+                    moreTriggerCharacter: [';', '\n']
+                }
+            },
+            serverInfo: { name: 'speed-formatter-lsp', version }
+        };
+    }
+
+    // Editor settings: { apiKey, url, profile, options }. Unset values keep
+    // what the environment provided.
+    configure(settings) {
+        if (!settings) return;
+        this.settings = { ...this.settings, ...settings };
+        if (settings.apiKey) this.client.apiKey = settings.apiKey;
+        if (settings.url) this.client.url = settings.url.replace(/\/+$/, '');
+    }
+
+    async format({ textDocument, options }, request, { signal }, { interactive = true } = {}) {
+        const document = this.documents.get(textDocument.uri);
+        if (!document) {
+            throw new ResponseError(ErrorCodes.InvalidParams, `Document ${textDocument.uri} is not open`);
+        }
+        // The API has nothing to format in an empty document
+        if (document.text.length === 0) return [];
+
+        const { text, version: documentVersion } = document;
+        const filename = this.filename(document.uri);
+        let result;
+        try {
+            result = await this.client.format({
+                code: text,
+                filename,
+                ...(!path.extname(filename) && { language: LANGUAGE_IDS[document.languageId] || document.languageId }),
+                ...(this.settings.profile && { profile: this.settings.profile }),
+                options: { ...this.settings.options, ...this.editorOptions(options) },
+                ...request
+            }, { signal });
+        } catch (error) {
+            if (!(error instanceof ApiError)) throw error;
+            // Diagnostics would point into text the editor no longer has
+            if (this.isModified(document, documentVersion)) return null;
+            this.reportError(document, error, { interactive });
+            return null;
+        }
+
+        // Edits computed against the old text would corrupt the new one
+        if (this.isModified(document, documentVersion)) {
+            throw new ResponseError(ErrorCodes.ContentModified, `Document ${textDocument.uri} changed while it was formatted`);
+        }
+
+        if (document.hasDiagnostics) this.publishDiagnostics(document.uri, []);
+        return minimalEdits(text, result.formatted_code);
+    }
+
+    async formatRange({ textDocument, range, options }, context) {
+        const document = this.documents.get(textDocument.uri);
+        if (!document) {
+            throw new ResponseError(ErrorCodes.InvalidParams, `Document ${textDocument.uri} is not open`);
+        }
+
+        return this.format({ textDocument, options }, {
+            range: {
+                start: offsetAt(document.text, range.start),
+                end: offsetAt(document.text, range.end)
+            }
+        }, context);
+    }
+
+    // Reformat the line just finished, and the one being typed on. Failures
+    // are logged rather than shown, half-typed code often doesn't parse.
+    async formatOnType({ textDocument, position, options }, context) {
+        return this.format({ textDocument, options }, {
+            range: {
+                unit: 'line',
+                start: Math.max(1, position.line),
+                end: position.line + 1
+            }
+        }, context, { interactive: false });
+    }
+
+    // Edited or closed since `version` was read
+    isModified(document, version) {
+        return this.documents.get(document.uri) !== document || document.version !== version;
+    }
+
+    // Tab settings from the editor win over profile and configured options
+    editorOptions(options = {}) {
+        const editor = {};
+        if (Number.isInteger(options.tabSize)) {
+            editor.tabWidth = Math.min(16, Math.max(1, options.tabSize));
+        }
+        if (typeof options.insertSpaces === 'boolean') {
+            editor.useTabs = !options.insertSpaces;
+        }
+        return editor;
+    }
+
+    filename(uri) {
+        try {
+            return path.basename(uri.startsWith('file:') ? fileURLToPath(uri) : new URL(uri).pathname) || 'untitled';
+        } catch (error) {
+            return 'untitled';
+        }
+    }
+
+    // Syntax errors become diagnostics on the document, anything else is a message
+    reportError(document, error, { interactive }) {
+        if (error.diagnostics.length > 0) {
+            this.publishDiagnostics(document.uri, error.diagnostics.map(toLspDiagnostic));
+            return;
+        }
+
+        const details = Array.isArray(error.details)
+            ? error.details.map(detail => detail.msg).join(', ')
+            : error.details;
+        const message = `Speed Formatter: ${error.error}${details ? ` (${details})` : ''}`;
+        this.connection.sendNotification(interactive ? 'window/showMessage' : 'window/logMessage', {
+            type: interactive ? MessageType.Error : MessageType.Log,
+            message
+        });
+    }
+
+    publishDiagnostics(uri, diagnostics) {
+        const document = this.documents.get(uri);
+        if (document) document.hasDiagnostics = diagnostics.length > 0;
+        this.connection.sendNotification('textDocument/publishDiagnostics', {
+            uri,
+            ...(document && { version: document.version }),
+            diagnostics
+        });
+    }
+}
+
+function start() {
+    // stdout carries the protocol, keep stray logging off it
+    console.log = console.error;
+
+    const connection = new Connection(process.stdin, process.stdout);
+    new SpeedFormatterLanguageServer(connection);
+    connection.listen();
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    SpeedFormatterLanguageServer,
+    minimalEdits,
+    offsetAt,
+    positionAt
+};
@@ -176,6 +176,7 @@ class AuthMiddleware {
         return async (req, res, next) => {
             // Store original res.json to intercept response
             const originalJson = res.json;
+            const recordUsage = this.recordUsage.bind(this);
             
             res.json = function(data) {
                 // Track usage if formatting was successful
@@ -189,36 +190,60 @@ class AuthMiddleware {
             next();
             
             async function trackFormattingUsage(req, res, data) {
-                try {
-                    await req.app.locals.db.run(`
-                        INSERT INTO usage_logs (
-                            user_id, api_key_id, language, input_length, 
-                            output_length, execution_time_ms, formatter_used, 
-                            ip_address, user_agent
-                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-                    `, [
-                        req.user?.id || null,
-                        req.apiKey?.id || null,
-                        req.formattingData?.language || 'unknown',
-                        req.formattingData?.input_length || 0,
-                        data.formatted_code?.length || 0,
-                        data.execution_time_ms || 0,
-                        data.formatter_used || 'unknown',
-                        req.ip,
-                        req.headers['user-agent']
-                    ]);
-                    
-                    // Increment user usage counter
-                    if (req.user?.id) {
-                        await req.app.locals.User.incrementUsage(req.user.id);
-                    }
-                } catch (error) {
-                    console.error('Error tracking usage:', error);
-                }
+                // Batch requests record one row per formatted file
+                const entries = req.formattingData.files || [{
+                    language: req.formattingData.language,
+                    input_length: req.formattingData.input_length,
+                    output_length: data.output_length,
+                    execution_time_ms: data.execution_time_ms,
+                    formatter_used: data.formatter_used
+                }];
+                
+                await recordUsage({
+                    user_id: req.user?.id,
+                    api_key_id: req.apiKey?.id,
+                    ip_address: req.ip,
+                    user_agent: req.headers['user-agent']
+                }, entries);
             }
         };
     }
 
+    // Log formatted files and count them against the user's monthly usage.
+    // Also used for work done outside a request, such as formatting jobs.
+    async recordUsage({ user_id = null, api_key_id = null, ip_address = null, user_agent = null }, entries) {
+        try {
+            if (entries.length === 0) return;
+            
+            for (const entry of entries) {
+                await this.db.run(`
+                    INSERT INTO usage_logs (
+                        user_id, api_key_id, language, input_length, 
+                        output_length, execution_time_ms, formatter_used, 
+                        ip_address, user_agent
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    user_id || null,
+                    api_key_id || null,
+                    entry.language || 'unknown',
+                    entry.input_length || 0,
+                    entry.output_length || 0,
+                    entry.execution_time_ms || 0,
+                    entry.formatter_used || 'unknown',
+                    ip_address,
+                    user_agent
+                ]);
+            }
+            
+            // Increment user usage counter
+            if (user_id) {
+                await this.User.incrementUsage(user_id, entries.length);
+            }
+        } catch (error) {
+            console.error('Error tracking usage:', error);
+        }
+    }
+
     // Optional authentication (doesn't fail if no auth provided)
     optionalAuth() {
         return async (req, res, next) => {
@@ -1,7 +1,11 @@
 const crypto = require('crypto');
+const EventEmitter = require('events');
 
-class ApiKey {
+// Emits 'account_event' ({ user_id, type, data }) when a key is created,
+// deactivated or deleted
+class ApiKey extends EventEmitter {
     constructor(db) {
+        super();
         this.db = db;
     }
 
@@ -20,7 +24,9 @@ class ApiKey {
                 [userId, keyName, apiKey]
             );
             
-            return this.findById(result.id);
+            const created = await this.findById(result.id);
+            this.emitKeyEvent('api_key.created', created);
+            return created;
         } catch (error) {
             throw new Error('Failed to create API key: ' + error.message);
         }
@@ -65,17 +71,40 @@ class ApiKey {
     }
 
     async deactivate(id, userId) {
-        return this.db.run(
+        const apiKey = await this.db.get('SELECT * FROM api_keys WHERE id = ? AND user_id = ?', [id, userId]);
+        const result = await this.db.run(
             'UPDATE api_keys SET is_active = false WHERE id = ? AND user_id = ?',
             [id, userId]
         );
+        // Deactivating a key that is already inactive isn't an event
+        if (apiKey?.is_active) this.emitKeyEvent('api_key.deactivated', { ...apiKey, is_active: false });
+        return result;
     }
 
     async delete(id, userId) {
-        return this.db.run(
+        const apiKey = await this.db.get('SELECT * FROM api_keys WHERE id = ? AND user_id = ?', [id, userId]);
+        const result = await this.db.run(
             'DELETE FROM api_keys WHERE id = ? AND user_id = ?',
             [id, userId]
         );
+        if (result.changes > 0) this.emitKeyEvent('api_key.deleted', apiKey);
+        return result;
+    }
+
+    // Events describe the key, never its secret value
+    emitKeyEvent(type, apiKey) {
+        this.emit('account_event', {
+            user_id: apiKey.user_id,
+            type,
+            data: {
+                api_key: {
+                    id: apiKey.id,
+                    key_name: apiKey.key_name,
+                    is_active: Boolean(apiKey.is_active),
+                    created_at: apiKey.created_at
+                }
+            }
+        });
     }
 
     async updateName(id, userId, newName) {
@@ -0,0 +1,150 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Everything but the submitted request, which can be megabytes of source
+const JOB_COLUMNS = `id, uuid, user_id, api_key_id, status, total_files, processed_files, succeeded_files,
+    summary, error, callback_url, callback_status, callback_attempts, callback_error,
+    created_at, started_at, completed_at, expires_at`;
+
+class FormatJob {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create(userId, { api_key_id = null, request, total_files, callback_url = null, retention_hours }) {
+        try {
+            const uuid = uuidv4();
+            await this.db.run(
+                `INSERT INTO format_jobs (uuid, user_id, api_key_id, request, total_files, callback_url, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, DATETIME('now', ?))`,
+                [uuid, userId, api_key_id, JSON.stringify(request), total_files, callback_url, `+${retention_hours} hours`]
+            );
+            return this.findByUuid(uuid, userId);
+        } catch (error) {
+            throw new Error('Failed to create job: ' + error.message);
+        }
+    }
+
+    // Expired jobs are gone for their owner even before the cleanup deletes them
+    async findByUuid(uuid, userId) {
+        const row = await this.db.get(
+            `SELECT ${JOB_COLUMNS} FROM format_jobs
+             WHERE uuid = ? AND user_id = ? AND expires_at > CURRENT_TIMESTAMP`,
+            [uuid, userId]
+        );
+        return this.deserialize(row);
+    }
+
+    async findByUser(userId, { limit = 20 } = {}) {
+        const rows = await this.db.all(
+            `SELECT ${JOB_COLUMNS} FROM format_jobs
+             WHERE user_id = ? AND expires_at > CURRENT_TIMESTAMP
+             ORDER BY created_at DESC, id DESC
+             LIMIT ?`,
+            [userId, limit]
+        );
+        return rows.map(row => this.deserialize(row));
+    }
+
+    async findById(id) {
+        const row = await this.db.get(`SELECT ${JOB_COLUMNS} FROM format_jobs WHERE id = ?`, [id]);
+        return this.deserialize(row);
+    }
+
+    async findRequest(id) {
+        const row = await this.db.get('SELECT request FROM format_jobs WHERE id = ?', [id]);
+        return row ? JSON.parse(row.request) : null;
+    }
+
+    // Jobs a restart has to pick up again, oldest first
+    async findUnfinished() {
+        const rows = await this.db.all(
+            `SELECT id FROM format_jobs
+             WHERE status IN ('queued', 'running') AND expires_at > CURRENT_TIMESTAMP
+             ORDER BY id ASC`
+        );
+        return rows.map(row => row.id);
+    }
+
+    async findPendingCallbacks() {
+        const rows = await this.db.all(
+            `SELECT id FROM format_jobs
+             WHERE callback_status = 'pending' AND status IN ('completed', 'failed')
+             ORDER BY id ASC`
+        );
+        return rows.map(row => row.id);
+    }
+
+    async markRunning(id) {
+        await this.db.run(
+            `UPDATE format_jobs
+             SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+             WHERE id = ?`,
+            [id]
+        );
+    }
+
+    async processedIndexes(id) {
+        const rows = await this.db.all('SELECT file_index FROM format_job_results WHERE job_id = ?', [id]);
+        return rows.map(row => row.file_index);
+    }
+
+    async saveResult(id, index, result) {
+        await this.db.run(
+            'INSERT OR REPLACE INTO format_job_results (job_id, file_index, status, result) VALUES (?, ?, ?, ?)',
+            [id, index, result.status, JSON.stringify(result)]
+        );
+        await this.db.run(
+            `UPDATE format_jobs SET
+                processed_files = (SELECT COUNT(*) FROM format_job_results WHERE job_id = ?),
+                succeeded_files = (SELECT COUNT(*) FROM format_job_results WHERE job_id = ? AND status = 'success')
+             WHERE id = ?`,
+            [id, id, id]
+        );
+    }
+
+    async results(id) {
+        const rows = await this.db.all(
+            'SELECT result FROM format_job_results WHERE job_id = ? ORDER BY file_index ASC',
+            [id]
+        );
+        return rows.map(row => JSON.parse(row.result));
+    }
+
+    // Finished jobs are kept for the retention window from completion
+    async finish(id, { status, summary = null, error = null, retention_hours }) {
+        await this.db.run(
+            `UPDATE format_jobs
+             SET status = ?, summary = ?, error = ?, completed_at = CURRENT_TIMESTAMP,
+                 expires_at = DATETIME('now', ?),
+                 callback_status = CASE WHEN callback_url IS NULL THEN NULL ELSE 'pending' END
+             WHERE id = ?`,
+            [status, summary && JSON.stringify(summary), error, `+${retention_hours} hours`, id]
+        );
+    }
+
+    async updateCallback(id, { status, attempts, error = null }) {
+        await this.db.run(
+            'UPDATE format_jobs SET callback_status = ?, callback_attempts = ?, callback_error = ? WHERE id = ?',
+            [status, attempts, error, id]
+        );
+    }
+
+    async deleteExpired() {
+        await this.db.run(
+            `DELETE FROM format_job_results
+             WHERE job_id IN (SELECT id FROM format_jobs WHERE expires_at <= CURRENT_TIMESTAMP)`
+        );
+        const result = await this.db.run('DELETE FROM format_jobs WHERE expires_at <= CURRENT_TIMESTAMP');
+        return result.changes;
+    }
+
+    deserialize(row) {
+        if (!row) return row;
+        return {
+            ...row,
+            summary: row.summary ? JSON.parse(row.summary) : null
+        };
+    }
+}
+
+module.exports = FormatJob;
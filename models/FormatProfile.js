@@ -0,0 +1,147 @@
+class FormatProfile {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async create(userId, { name, description = null, options = {}, language_options = {}, is_default = false }) {
+        try {
+            const result = await this.db.run(
+                `INSERT INTO format_profiles (user_id, name, description, options, language_options)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [userId, name, description, JSON.stringify(options), JSON.stringify(language_options)]
+            );
+
+            if (is_default) {
+                await this.setDefault(result.id, userId);
+            }
+
+            return this.findById(result.id, userId);
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.message.includes('UNIQUE constraint failed')) {
+                throw new Error('Profile name already exists');
+            }
+            throw new Error('Failed to create profile: ' + error.message);
+        }
+    }
+
+    async findById(id, userId) {
+        const row = await this.db.get(
+            'SELECT * FROM format_profiles WHERE id = ? AND user_id = ?',
+            [id, userId]
+        );
+        return this.deserialize(row);
+    }
+
+    async findByName(userId, name) {
+        const row = await this.db.get(
+            'SELECT * FROM format_profiles WHERE user_id = ? AND name = ?',
+            [userId, name]
+        );
+        return this.deserialize(row);
+    }
+
+    async findDefault(userId) {
+        const row = await this.db.get(
+            'SELECT * FROM format_profiles WHERE user_id = ? AND is_default = true',
+            [userId]
+        );
+        return this.deserialize(row);
+    }
+
+    async findByUser(userId) {
+        const rows = await this.db.all(
+            'SELECT * FROM format_profiles WHERE user_id = ? ORDER BY name ASC',
+            [userId]
+        );
+        return rows.map(row => this.deserialize(row));
+    }
+
+    async update(id, userId, { name, description, options, language_options }) {
+        const updates = [];
+        const params = [];
+
+        if (name !== undefined) {
+            updates.push('name = ?');
+            params.push(name);
+        }
+
+        if (description !== undefined) {
+            updates.push('description = ?');
+            params.push(description);
+        }
+
+        if (options !== undefined) {
+            updates.push('options = ?');
+            params.push(JSON.stringify(options));
+        }
+
+        if (language_options !== undefined) {
+            updates.push('language_options = ?');
+            params.push(JSON.stringify(language_options));
+        }
+
+        if (updates.length === 0) return { changes: 0 };
+
+        updates.push('updated_at = CURRENT_TIMESTAMP');
+        params.push(id, userId);
+
+        try {
+            return await this.db.run(
+                `UPDATE format_profiles SET ${updates.join(', ')} WHERE id = ? AND user_id = ?`,
+                params
+            );
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.message.includes('UNIQUE constraint failed')) {
+                throw new Error('Profile name already exists');
+            }
+            throw error;
+        }
+    }
+
+    // Only one profile per user can be the default
+    async setDefault(id, userId) {
+        const profile = await this.findById(id, userId);
+        if (!profile) return { changes: 0 };
+
+        await this.clearDefault(userId);
+        return this.db.run(
+            'UPDATE format_profiles SET is_default = true, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+            [id, userId]
+        );
+    }
+
+    async clearDefault(userId) {
+        return this.db.run(
+            'UPDATE format_profiles SET is_default = false WHERE user_id = ? AND is_default = true',
+            [userId]
+        );
+    }
+
+    async delete(id, userId) {
+        return this.db.run(
+            'DELETE FROM format_profiles WHERE id = ? AND user_id = ?',
+            [id, userId]
+        );
+    }
+
+    // Options a profile contributes for one language, per-language entries win
+    optionsFor(profile, language) {
+        if (!profile) return {};
+        return {
+            ...profile.options,
+            ...(profile.language_options[language] || {})
+        };
+    }
+
+    deserialize(row) {
+        if (!row) return row;
+        return {
+            ...row,
+            options: JSON.parse(row.options || '{}'),
+            language_options: JSON.parse(row.language_options || '{}'),
+            is_default: Boolean(row.is_default)
+        };
+    }
+}
+
+module.exports = FormatProfile;
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+
+// Inputs larger than this are recorded by hash only
+const MAX_STORED_INPUT_LENGTH = 256 * 1024;
+
+class QualityEvent {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async record({ event, language, formatter_used, formatter_version = null, options = {}, input, diff = null, details = null, user_id = null }) {
+        try {
+            const result = await this.db.run(
+                `INSERT INTO formatter_quality_events
+                    (event, language, formatter_used, formatter_version, options, input_hash, input, input_length, diff, details, user_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    event,
+                    language,
+                    formatter_used,
+                    formatter_version,
+                    JSON.stringify(options),
+                    crypto.createHash('sha256').update(input).digest('hex'),
+                    input.length <= MAX_STORED_INPUT_LENGTH ? input : null,
+                    input.length,
+                    diff,
+                    details,
+                    user_id
+                ]
+            );
+            return result.id;
+        } catch (error) {
+            throw new Error('Failed to record quality event: ' + error.message);
+        }
+    }
+
+    // Event counts per language and formatter over the last `days` days
+    async summary({ days = 30 } = {}) {
+        return this.db.all(
+            `SELECT language, formatter_used, event,
+                    COUNT(*) as events,
+                    COUNT(DISTINCT input_hash) as distinct_inputs,
+                    MAX(created_at) as last_seen_at
+             FROM formatter_quality_events
+             WHERE created_at >= DATETIME('now', ?)
+             GROUP BY language, formatter_used, event
+             ORDER BY events DESC`,
+            [`-${days} days`]
+        );
+    }
+
+    async recent({ language = null, limit = 50 } = {}) {
+        const rows = await this.db.all(
+            `SELECT * FROM formatter_quality_events
+             ${language ? 'WHERE language = ?' : ''}
+             ORDER BY created_at DESC, id DESC
+             LIMIT ?`,
+            language ? [language, limit] : [limit]
+        );
+        return rows.map(row => this.deserialize(row));
+    }
+
+    deserialize(row) {
+        if (!row) return row;
+        return {
+            ...row,
+            options: JSON.parse(row.options || '{}')
+        };
+    }
+}
+
+module.exports = QualityEvent;
@@ -1,8 +1,15 @@
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const EventEmitter = require('events');
 
-class User {
+// Share of the monthly limit at which usage.threshold_reached is emitted
+const USAGE_THRESHOLDS = [80, 100];
+
+// Emits 'account_event' ({ user_id, type, data }) when usage crosses a
+// threshold or the plan changes
+class User extends EventEmitter {
     constructor(db) {
+        super();
         this.db = db;
     }
 
@@ -153,21 +160,66 @@ class User {
         return limits[plan] || 100;
     }
 
-    async incrementUsage(userId) {
-        return this.db.run(
-            'UPDATE subscriptions SET current_usage = current_usage + 1 WHERE user_id = ? AND status = "active"',
-            [userId]
+    async incrementUsage(userId, amount = 1) {
+        // The increment returns the usage it produced, so concurrent increments
+        // each see their own before/after values and every threshold is
+        // reported by exactly the one increment that crosses it
+        const subscription = await this.db.get(
+            `UPDATE subscriptions SET current_usage = current_usage + ?
+             WHERE user_id = ? AND status = "active"
+             RETURNING plan_type, monthly_limit, current_usage`,
+            [amount, userId]
         );
+        if (subscription) {
+            const { monthly_limit, current_usage } = subscription;
+            for (const threshold of USAGE_THRESHOLDS) {
+                const limit = monthly_limit * threshold / 100;
+                if (current_usage - amount < limit && current_usage >= limit) {
+                    this.emit('account_event', {
+                        user_id: userId,
+                        type: 'usage.threshold_reached',
+                        data: { threshold_percent: threshold, current_usage, monthly_limit, plan: subscription.plan_type }
+                    });
+                }
+            }
+        }
+        return subscription;
+    }
+
+    // Move the user and their active subscription to another plan
+    async updatePlan(userId, plan) {
+        const user = await this.findById(userId);
+        if (!user) return null;
+
+        const previousPlan = user.plan_type || user.plan;
+        await this.db.run(
+            'UPDATE users SET plan = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [plan, userId]
+        );
+        await this.db.run(
+            'UPDATE subscriptions SET plan_type = ?, monthly_limit = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND status = "active"',
+            [plan, this.getPlanLimit(plan), userId]
+        );
+
+        if (previousPlan !== plan) {
+            this.emit('account_event', {
+                user_id: userId,
+                type: 'user.plan_changed',
+                data: { previous_plan: previousPlan, plan, monthly_limit: this.getPlanLimit(plan) }
+            });
+        }
+        return this.findById(userId);
     }
 
-    async checkUsageLimit(userId) {
+    // Whether the user can still make `amount` more requests this month
+    async checkUsageLimit(userId, amount = 1) {
         const subscription = await this.db.get(
             'SELECT monthly_limit, current_usage FROM subscriptions WHERE user_id = ? AND status = "active"',
             [userId]
         );
 
         if (!subscription) return false;
-        return subscription.current_usage < subscription.monthly_limit;
+        return subscription.current_usage + amount <= subscription.monthly_limit;
     }
 }
 
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+class Webhook {
+    constructor(db) {
+        this.db = db;
+    }
+
+    generateSecret() {
+        return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+    }
+
+    async create(userId, { url, events, description = null }) {
+        try {
+            const result = await this.db.run(
+                'INSERT INTO webhooks (user_id, url, secret, events, description) VALUES (?, ?, ?, ?, ?)',
+                [userId, url, this.generateSecret(), JSON.stringify(events), description]
+            );
+            return this.findById(result.id, userId);
+        } catch (error) {
+            throw new Error('Failed to create webhook: ' + error.message);
+        }
+    }
+
+    async findById(id, userId) {
+        const row = await this.db.get(
+            'SELECT * FROM webhooks WHERE id = ? AND user_id = ?',
+            [id, userId]
+        );
+        return this.deserialize(row);
+    }
+
+    async findByUser(userId) {
+        const rows = await this.db.all(
+            'SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at ASC, id ASC',
+            [userId]
+        );
+        return rows.map(row => this.deserialize(row));
+    }
+
+    // The dispatcher delivers on the owner's behalf, without a user to scope by
+    async findForDispatch(id) {
+        const row = await this.db.get('SELECT * FROM webhooks WHERE id = ?', [id]);
+        return this.deserialize(row);
+    }
+
+    // Active webhooks of the user subscribed to an event type
+    async findSubscribed(userId, event) {
+        const webhooks = await this.findByUser(userId);
+        return webhooks.filter(webhook => webhook.is_active && webhook.events.includes(event));
+    }
+
+    async update(id, userId, { url, events, description, is_active }) {
+        const updates = [];
+        const values = [];
+
+        if (url !== undefined) {
+            updates.push('url = ?');
+            values.push(url);
+        }
+        if (events !== undefined) {
+            updates.push('events = ?');
+            values.push(JSON.stringify(events));
+        }
+        if (description !== undefined) {
+            updates.push('description = ?');
+            values.push(description);
+        }
+        if (is_active !== undefined) {
+            updates.push('is_active = ?');
+            values.push(is_active);
+        }
+
+        if (updates.length === 0) {
+            return this.findById(id, userId);
+        }
+
+        updates.push('updated_at = CURRENT_TIMESTAMP');
+        values.push(id, userId);
+
+        const result = await this.db.run(
+            `UPDATE webhooks SET ${updates.join(', ')} WHERE id = ? AND user_id = ?`,
+            values
+        );
+        return result.changes > 0 ? this.findById(id, userId) : null;
+    }
+
+    async delete(id, userId) {
+        const result = await this.db.run(
+            'DELETE FROM webhooks WHERE id = ? AND user_id = ?',
+            [id, userId]
+        );
+        if (result.changes > 0) {
+            await this.db.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+        }
+        return result;
+    }
+
+    async createDelivery(webhookId, { event_id, event, payload, redelivery_of = null }) {
+        const uuid = uuidv4();
+        const result = await this.db.run(
+            `INSERT INTO webhook_deliveries (uuid, webhook_id, event_id, event, payload, redelivery_of, next_attempt_at)
+             VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+            [uuid, webhookId, event_id, event, payload, redelivery_of]
+        );
+        return this.findDelivery(result.id);
+    }
+
+    async findDelivery(id) {
+        return this.db.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    }
+
+    async findDeliveries(webhookId, { limit = 50 } = {}) {
+        return this.db.all(
+            `SELECT * FROM webhook_deliveries
+             WHERE webhook_id = ?
+             ORDER BY created_at DESC, id DESC
+             LIMIT ?`,
+            [webhookId, limit]
+        );
+    }
+
+    // Deliveries still waiting for an attempt, e.g. after a restart
+    async findPendingDeliveries() {
+        return this.db.all(
+            `SELECT id, next_attempt_at FROM webhook_deliveries
+             WHERE status = 'pending'
+             ORDER BY next_attempt_at ASC`
+        );
+    }
+
+    async recordAttempt(id, { status, attempts, response_status = null, error = null, retry_in_seconds = null }) {
+        await this.db.run(
+            `UPDATE webhook_deliveries
+             SET status = ?, attempts = ?, response_status = ?, error = ?,
+                 next_attempt_at = CASE WHEN ? IS NULL THEN NULL ELSE DATETIME('now', ?) END,
+                 delivered_at = CASE WHEN ? = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+             WHERE id = ?`,
+            [status, attempts, response_status, error,
+                retry_in_seconds, `+${retry_in_seconds} seconds`, status, id]
+        );
+    }
+
+    deserialize(row) {
+        if (!row) return row;
+        return {
+            ...row,
+            events: JSON.parse(row.events || '[]'),
+            is_active: Boolean(row.is_active)
+        };
+    }
+}
+
+module.exports = Webhook;
@@ -0,0 +1,309 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { optionValidators, validateOptions } = require('../formatters/options');
+const formatters = require('../formatters');
+const router = express.Router();
+
+const MAX_PROFILES = 20;
+
+function formatProfile(profile) {
+    return {
+        id: profile.id,
+        name: profile.name,
+        description: profile.description,
+        options: profile.options,
+        language_options: profile.language_options,
+        is_default: profile.is_default,
+        created_at: profile.created_at,
+        updated_at: profile.updated_at
+    };
+}
+
+function profileValidators({ optional }) {
+    const nameChain = optional ? body('name').optional() : body('name');
+
+    return [
+        nameChain
+            .isString()
+            .trim()
+            .matches(/^[A-Za-z0-9._-]{1,100}$/)
+            .withMessage('Profile name must be 1-100 letters, numbers, dots, dashes or underscores'),
+        body('description')
+            .optional({ values: 'null' })
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Description must be at most 500 characters'),
+        ...optionValidators('options'),
+        body('language_options')
+            .optional()
+            .custom(value => {
+                if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                    throw new Error('Language options must be an object keyed by language');
+                }
+
+                for (const [language, options] of Object.entries(value)) {
+                    // Keyed by canonical language so lookups match formatted requests
+                    if (!formatters.languages().includes(language)) {
+                        throw new Error(`Unsupported language '${language}'`);
+                    }
+
+                    const errors = validateOptions(options);
+                    if (errors.length > 0) {
+                        throw new Error(`${language}: ${errors.join(', ')}`);
+                    }
+                }
+                return true;
+            })
+    ];
+}
+
+function createProfileRoutes(FormatProfile, AuthMiddleware) {
+    // List formatting profiles for authenticated user
+    router.get('/', AuthMiddleware.verifyToken(), async (req, res) => {
+        try {
+            const profiles = await FormatProfile.findByUser(req.user.id);
+
+            res.json({
+                profiles: profiles.map(formatProfile)
+            });
+        } catch (error) {
+            console.error('Get profiles error:', error);
+            res.status(500).json({
+                error: 'Failed to get profiles',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    // Create new profile
+    router.post('/', [
+        AuthMiddleware.verifyToken(),
+        ...profileValidators({ optional: false }),
+        body('is_default').optional().isBoolean({ strict: true }).withMessage('is_default must be a boolean')
+    ], async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const userId = req.user.id;
+
+            const existingProfiles = await FormatProfile.findByUser(userId);
+            if (existingProfiles.length >= MAX_PROFILES) {
+                return res.status(400).json({
+                    error: 'Profile limit reached',
+                    details: `You can have a maximum of ${MAX_PROFILES} profiles`
+                });
+            }
+
+            const profile = await FormatProfile.create(userId, {
+                name: req.body.name,
+                description: req.body.description,
+                options: req.body.options,
+                language_options: req.body.language_options,
+                is_default: req.body.is_default === true
+            });
+
+            res.status(201).json({
+                message: 'Profile created successfully',
+                profile: formatProfile(profile)
+            });
+        } catch (error) {
+            if (error.message === 'Profile name already exists') {
+                return res.status(409).json({
+                    error: 'Profile name already exists',
+                    details: 'A profile with this name already exists'
+                });
+            }
+
+            console.error('Create profile error:', error);
+            res.status(500).json({
+                error: 'Failed to create profile',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    // Get a single profile
+    router.get('/:id', [
+        AuthMiddleware.verifyToken(),
+        param('id').isInt({ min: 1 }).withMessage('Invalid profile ID')
+    ], async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const profile = await FormatProfile.findById(parseInt(req.params.id), req.user.id);
+            if (!profile) {
+                return res.status(404).json({
+                    error: 'Profile not found',
+                    details: 'Profile not found or you do not have access to it'
+                });
+            }
+
+            res.json({
+                profile: formatProfile(profile)
+            });
+        } catch (error) {
+            console.error('Get profile error:', error);
+            res.status(500).json({
+                error: 'Failed to get profile',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    // Update profile
+    router.patch('/:id', [
+        AuthMiddleware.verifyToken(),
+        param('id').isInt({ min: 1 }).withMessage('Invalid profile ID'),
+        ...profileValidators({ optional: true })
+    ], async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const profileId = parseInt(req.params.id);
+            const userId = req.user.id;
+
+            const result = await FormatProfile.update(profileId, userId, {
+                name: req.body.name,
+                description: req.body.description,
+                options: req.body.options,
+                language_options: req.body.language_options
+            });
+
+            if (result.changes === 0) {
+                return res.status(404).json({
+                    error: 'Profile not found',
+                    details: 'Profile not found or nothing to update'
+                });
+            }
+
+            const profile = await FormatProfile.findById(profileId, userId);
+
+            res.json({
+                message: 'Profile updated successfully',
+                profile: formatProfile(profile)
+            });
+        } catch (error) {
+            if (error.message === 'Profile name already exists') {
+                return res.status(409).json({
+                    error: 'Profile name already exists',
+                    details: 'A profile with this name already exists'
+                });
+            }
+
+            console.error('Update profile error:', error);
+            res.status(500).json({
+                error: 'Failed to update profile',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    // Make profile the default for API key requests
+    router.patch('/:id/default', [
+        AuthMiddleware.verifyToken(),
+        param('id').isInt({ min: 1 }).withMessage('Invalid profile ID')
+    ], async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const result = await FormatProfile.setDefault(parseInt(req.params.id), req.user.id);
+
+            if (result.changes === 0) {
+                return res.status(404).json({
+                    error: 'Profile not found',
+                    details: 'Profile not found or you do not have access to it'
+                });
+            }
+
+            res.json({
+                message: 'Default profile updated successfully'
+            });
+        } catch (error) {
+            console.error('Set default profile error:', error);
+            res.status(500).json({
+                error: 'Failed to set default profile',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    // Unset the default profile
+    router.delete('/default', AuthMiddleware.verifyToken(), async (req, res) => {
+        try {
+            await FormatProfile.clearDefault(req.user.id);
+
+            res.json({
+                message: 'Default profile cleared successfully'
+            });
+        } catch (error) {
+            console.error('Clear default profile error:', error);
+            res.status(500).json({
+                error: 'Failed to clear default profile',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    // Delete profile
+    router.delete('/:id', [
+        AuthMiddleware.verifyToken(),
+        param('id').isInt({ min: 1 }).withMessage('Invalid profile ID')
+    ], async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const result = await FormatProfile.delete(parseInt(req.params.id), req.user.id);
+
+            if (result.changes === 0) {
+                return res.status(404).json({
+                    error: 'Profile not found',
+                    details: 'Profile not found or you do not have access to it'
+                });
+            }
+
+            res.json({
+                message: 'Profile deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete profile error:', error);
+            res.status(500).json({
+                error: 'Failed to delete profile',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createProfileRoutes;
@@ -0,0 +1,280 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { WEBHOOK_EVENTS } = require('../webhooks/dispatcher');
+const { outboundUrlValidator } = require('../webhooks/outbound');
+const router = express.Router();
+
+const MAX_WEBHOOKS = 10;
+
+function formatWebhook(webhook) {
+    return {
+        id: webhook.id,
+        url: webhook.url,
+        events: webhook.events,
+        description: webhook.description,
+        is_active: webhook.is_active,
+        created_at: webhook.created_at,
+        updated_at: webhook.updated_at
+    };
+}
+
+function formatDelivery(delivery) {
+    return {
+        id: delivery.id,
+        delivery_id: delivery.uuid,
+        event_id: delivery.event_id,
+        event: delivery.event,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        next_attempt_at: delivery.next_attempt_at,
+        response_status: delivery.response_status,
+        error: delivery.error,
+        redelivery_of: delivery.redelivery_of,
+        payload: JSON.parse(delivery.payload),
+        created_at: delivery.created_at,
+        delivered_at: delivery.delivered_at
+    };
+}
+
+function webhookValidators({ optional }) {
+    const eventsChain = optional ? body('events').optional() : body('events');
+
+    return [
+        outboundUrlValidator('url', { optional }),
+        eventsChain
+            .isArray({ min: 1 })
+            .withMessage('Events must be a non-empty array')
+            .bail()
+            .custom(events => events.every(event => WEBHOOK_EVENTS.includes(event)))
+            .withMessage(`Events must be any of: ${WEBHOOK_EVENTS.join(', ')}`),
+        body('description')
+            .optional({ values: 'null' })
+            .isString()
+            .isLength({ max: 500 })
+            .withMessage('Description must be at most 500 characters')
+    ];
+}
+
+function createWebhookRoutes(Webhook, dispatcher, AuthMiddleware) {
+    // Resolve :id to one of the user's webhooks, or answer 404
+    async function findWebhook(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+            return null;
+        }
+
+        const webhook = await Webhook.findById(parseInt(req.params.id), req.user.id);
+        if (!webhook) {
+            res.status(404).json({
+                error: 'Webhook not found',
+                details: 'Webhook not found or you do not have access to it'
+            });
+            return null;
+        }
+        return webhook;
+    }
+
+    // List webhooks and the events they can subscribe to
+    router.get('/', AuthMiddleware.verifyToken(), async (req, res) => {
+        try {
+            const webhooks = await Webhook.findByUser(req.user.id);
+
+            res.json({
+                webhooks: webhooks.map(formatWebhook),
+                available_events: WEBHOOK_EVENTS
+            });
+        } catch (error) {
+            console.error('Get webhooks error:', error);
+            res.status(500).json({
+                error: 'Failed to get webhooks',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    // Register a webhook, the signing secret is only returned here
+    router.post('/', [
+        AuthMiddleware.verifyToken(),
+        ...webhookValidators({ optional: false })
+    ], async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const userId = req.user.id;
+
+            const existingWebhooks = await Webhook.findByUser(userId);
+            if (existingWebhooks.length >= MAX_WEBHOOKS) {
+                return res.status(400).json({
+                    error: 'Webhook limit reached',
+                    details: `You can have a maximum of ${MAX_WEBHOOKS} webhooks`
+                });
+            }
+
+            const { url, events, description } = req.body;
+            const webhook = await Webhook.create(userId, { url, events: [...new Set(events)], description });
+
+            res.status(201).json({
+                message: 'Webhook created successfully',
+                webhook: {
+                    ...formatWebhook(webhook),
+                    secret: webhook.secret
+                }
+            });
+        } catch (error) {
+            console.error('Create webhook error:', error);
+            res.status(500).json({
+                error: 'Failed to create webhook',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    router.get('/:id', [
+        AuthMiddleware.verifyToken(),
+        param('id').isInt({ min: 1 }).withMessage('Invalid webhook ID')
+    ], async (req, res) => {
+        try {
+            const webhook = await findWebhook(req, res);
+            if (!webhook) return;
+
+            res.json({ webhook: formatWebhook(webhook) });
+        } catch (error) {
+            console.error('Get webhook error:', error);
+            res.status(500).json({
+                error: 'Failed to get webhook',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    router.patch('/:id', [
+        AuthMiddleware.verifyToken(),
+        param('id').isInt({ min: 1 }).withMessage('Invalid webhook ID'),
+        ...webhookValidators({ optional: true }),
+        body('is_active').optional().isBoolean({ strict: true }).withMessage('is_active must be a boolean')
+    ], async (req, res) => {
+        try {
+            const webhook = await findWebhook(req, res);
+            if (!webhook) return;
+
+            const { url, events, description, is_active } = req.body;
+            const updated = await Webhook.update(webhook.id, req.user.id, {
+                url,
+                events: events && [...new Set(events)],
+                description,
+                is_active
+            });
+
+            res.json({
+                message: 'Webhook updated successfully',
+                webhook: formatWebhook(updated)
+            });
+        } catch (error) {
+            console.error('Update webhook error:', error);
+            res.status(500).json({
+                error: 'Failed to update webhook',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    router.delete('/:id', [
+        AuthMiddleware.verifyToken(),
+        param('id').isInt({ min: 1 }).withMessage('Invalid webhook ID')
+    ], async (req, res) => {
+        try {
+            const webhook = await findWebhook(req, res);
+            if (!webhook) return;
+
+            await Webhook.delete(webhook.id, req.user.id);
+
+            res.json({
+                message: 'Webhook deleted successfully'
+            });
+        } catch (error) {
+            console.error('Delete webhook error:', error);
+            res.status(500).json({
+                error: 'Failed to delete webhook',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    // Delivery log, newest first
+    router.get('/:id/deliveries', [
+        AuthMiddleware.verifyToken(),
+        param('id').isInt({ min: 1 }).withMessage('Invalid webhook ID'),
+        query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+            .withMessage('Limit must be between 1 and 200')
+    ], async (req, res) => {
+        try {
+            const webhook = await findWebhook(req, res);
+            if (!webhook) return;
+
+            const deliveries = await Webhook.findDeliveries(webhook.id, { limit: req.query.limit });
+
+            res.json({
+                deliveries: deliveries.map(formatDelivery)
+            });
+        } catch (error) {
+            console.error('Get webhook deliveries error:', error);
+            res.status(500).json({
+                error: 'Failed to get webhook deliveries',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    // Send a logged event again, e.g. after fixing the receiving endpoint
+    router.post('/:id/deliveries/:deliveryId/redeliver', [
+        AuthMiddleware.verifyToken(),
+        param('id').isInt({ min: 1 }).withMessage('Invalid webhook ID'),
+        param('deliveryId').isInt({ min: 1 }).withMessage('Invalid delivery ID')
+    ], async (req, res) => {
+        try {
+            const webhook = await findWebhook(req, res);
+            if (!webhook) return;
+
+            const delivery = await Webhook.findDelivery(parseInt(req.params.deliveryId));
+            if (!delivery || delivery.webhook_id !== webhook.id) {
+                return res.status(404).json({
+                    error: 'Delivery not found',
+                    details: 'Delivery not found for this webhook'
+                });
+            }
+            if (!webhook.is_active) {
+                return res.status(409).json({
+                    error: 'Webhook is disabled',
+                    details: 'Enable the webhook before redelivering events'
+                });
+            }
+
+            const redelivery = await dispatcher.redeliver(delivery);
+
+            res.status(202).json({
+                message: 'Redelivery scheduled',
+                delivery: formatDelivery(redelivery)
+            });
+        } catch (error) {
+            console.error('Redeliver webhook error:', error);
+            res.status(500).json({
+                error: 'Failed to redeliver webhook',
+                details: 'Internal server error'
+            });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createWebhookRoutes;
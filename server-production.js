@@ -1,18 +1,113 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const prettier = require('prettier');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const { setTimeout: sleep } = require('timers/promises');
 const path = require('path');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 
 // Import our models and middleware
 const Database = require('./database/init');
 const User = require('./models/User');
 const ApiKey = require('./models/ApiKey');
+const FormatProfile = require('./models/FormatProfile');
+const QualityEvent = require('./models/QualityEvent');
+const FormatJob = require('./models/FormatJob');
+const Webhook = require('./models/Webhook');
+const { WebhookDispatcher } = require('./webhooks/dispatcher');
+const { LiveSession } = require('./live/session');
+const { outboundUrlValidator, postJson } = require('./webhooks/outbound');
 const AuthMiddleware = require('./middleware/auth');
 const createAuthRoutes = require('./routes/auth');
 const createApiKeyRoutes = require('./routes/api-keys');
+const createProfileRoutes = require('./routes/profiles');
+const createWebhookRoutes = require('./routes/webhooks');
+const { optionValidators } = require('./formatters/options');
+const { rangeValidators, toCharacterRange, describeRangeChanges } = require('./formatters/range');
+const { organizeImportsValidators, importSettings } = require('./formatters/imports');
+const { ConfigError, resolveConfigOptions, configValidators } = require('./formatters/config');
+const { lineEndingsValidator } = require('./formatters/lineendings');
+const { detectLanguage } = require('./formatters/detect');
+const formatters = require('./formatters');
+const { loadPlugins } = require('./formatters/plugins');
+const { FormatterPool, FormatTimeoutError, FormatQueueFullError, FormatCancelledError } = require('./formatters/pool');
+const FormatCache = require('./formatters/cache');
+const { FormatSyntaxError, toDiagnostics } = require('./formatters/diagnostics');
+
+// Maximum number of files accepted by a single batch request
+const MAX_BATCH_FILES = 500;
+
+// Jobs take monorepo-sized payloads that don't fit a synchronous request
+const MAX_JOB_FILES = 10000;
+const JOB_BODY_LIMIT = '50mb';
+const JOB_CALLBACK_ATTEMPTS = 3;
+const JOB_CALLBACK_TIMEOUT_MS = 10000;
+// Jobs wait for a busy pool instead of failing files, backing off up to this
+const JOB_BUSY_RETRY_MAX_MS = 5000;
+
+// Live sessions keep one authenticated stream open per editor
+const MAX_LIVE_SESSIONS = 5;
+const MAX_LIVE_DOCUMENTS = 20;
+const LIVE_REVISIONS_PER_SECOND = 20;
+const LIVE_HEARTBEAT_MS = 25000;
+
+// API formatting requests per minute for each plan
+const PLAN_RATE_LIMITS = {
+    free: 10,
+    basic: 100,
+    pro: 1000,
+    team: 10000
+};
+
+// Settings every formatting endpoint accepts alongside the code
+function formatSettingsValidators() {
+    return [
+        body('profile').optional().isString().trim().isLength({ min: 1, max: 100 })
+            .withMessage('Profile must be a profile name'),
+        body('mode').optional().isIn(['format', 'check'])
+            .withMessage('Mode must be either "format" or "check"'),
+        body('format_code_blocks').optional().isBoolean({ strict: true })
+            .withMessage('Format code blocks must be a boolean'),
+        body('verify').optional().isBoolean({ strict: true })
+            .withMessage('Verify must be a boolean'),
+        body('style').optional().isIn(['pretty', 'compact'])
+            .withMessage('Style must be either "pretty" or "compact"'),
+        lineEndingsValidator(),
+        ...organizeImportsValidators(),
+        ...configValidators(),
+        ...optionValidators()
+    ];
+}
+
+// A single-file format request, as /format and /api/v1/format take it
+function formatRequestValidators() {
+    return [
+        body('code').notEmpty().withMessage('Code is required'),
+        formatters.languageValidator(),
+        body('filename').optional().isString().trim().isLength({ min: 1, max: 255 })
+            .withMessage('Filename must be between 1 and 255 characters'),
+        ...rangeValidators(),
+        body('cursor_offset').optional().custom(value => Number.isInteger(value) && value >= 0)
+            .withMessage('Cursor offset must be a non-negative integer'),
+        ...formatSettingsValidators()
+    ];
+}
+
+// Positive integer from the environment, undefined keeps the pool's default
+function envInteger(name) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : undefined;
+}
+
+// Abort signal that fires when the client goes away before the response is sent
+function disconnectSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+    return controller.signal;
+}
 
 class SpeedFormatterServer {
     constructor() {
@@ -21,7 +116,19 @@ class SpeedFormatterServer {
         this.db = null;
         this.userModel = null;
         this.apiKeyModel = null;
+        this.formatProfileModel = null;
         this.authMiddleware = null;
+        this.formatters = formatters;
+        this.plugins = [];
+        this.formatterPool = null;
+        this.formatCache = null;
+        this.formatJobModel = null;
+        this.webhookModel = null;
+        this.webhookDispatcher = null;
+        this.jobQueue = [];
+        this.jobRunning = false;
+        this.jobRetentionHours = envInteger('FORMAT_JOB_RETENTION_HOURS') || 72;
+        this.liveSessions = new Map();
     }
 
     async initialize() {
@@ -36,21 +143,64 @@ class SpeedFormatterServer {
             // Initialize models
             this.userModel = new User(this.db);
             this.apiKeyModel = new ApiKey(this.db);
+            this.formatProfileModel = new FormatProfile(this.db);
+            this.qualityEventModel = new QualityEvent(this.db);
+            this.formatJobModel = new FormatJob(this.db);
+            this.webhookModel = new Webhook(this.db);
+            
+            // Account events from the models are delivered to the user's webhooks
+            this.webhookDispatcher = new WebhookDispatcher(this.webhookModel)
+                .listen(this.userModel)
+                .listen(this.apiKeyModel);
             this.authMiddleware = new AuthMiddleware(this.userModel, this.apiKeyModel, this.db);
             
             // Make models available to routes
             this.app.locals.db = this.db;
             this.app.locals.User = this.userModel;
             this.app.locals.ApiKey = this.apiKeyModel;
+            this.app.locals.FormatProfile = this.formatProfileModel;
+            this.app.locals.QualityEvent = this.qualityEventModel;
+            this.app.locals.FormatJob = this.formatJobModel;
+            this.app.locals.Webhook = this.webhookModel;
             this.app.locals.AuthMiddleware = this.authMiddleware;
             
             console.log('✅ Database and models initialized');
             
+            // Extra languages from Prettier plugins, a broken plugin is skipped
+            this.plugins = await loadPlugins(this.formatters, process.env.PRETTIER_PLUGINS_DIR);
+            
+            // Formatting runs on worker threads so big inputs can't block other requests
+            this.formatterPool = new FormatterPool({
+                size: envInteger('FORMAT_WORKERS'),
+                maxQueue: envInteger('FORMAT_QUEUE_LIMIT'),
+                timeoutMs: envInteger('FORMAT_TIMEOUT_MS'),
+                memoryLimitMb: envInteger('FORMAT_WORKER_MEMORY_MB'),
+                pluginsDir: process.env.PRETTIER_PLUGINS_DIR
+            });
+            console.log(`🧵 Formatter pool: up to ${this.formatterPool.size} workers, ${this.formatterPool.timeoutMs}ms timeout`);
+            
+            // Results of unchanged inputs are served from the cache, SQLite tier is opt-in
+            const maxCacheMb = envInteger('FORMAT_CACHE_MAX_MB');
+            this.formatCache = new FormatCache({
+                maxEntries: envInteger('FORMAT_CACHE_MAX_ENTRIES'),
+                maxBytes: maxCacheMb && maxCacheMb * 1024 * 1024,
+                db: process.env.FORMAT_CACHE_SQLITE === 'true' ? this.db : null,
+                maxDbEntries: envInteger('FORMAT_CACHE_SQLITE_MAX_ENTRIES')
+            });
+            
             // Setup middleware and routes
             this.setupMiddleware();
             this.setupRoutes();
             this.setupErrorHandlers();
             
+            // Jobs outlive restarts: pick up unfinished ones and undelivered callbacks
+            await this.resumeJobs();
+            
+            const pendingDeliveries = await this.webhookDispatcher.resume();
+            if (pendingDeliveries > 0) {
+                console.log(`🪝 Resuming ${pendingDeliveries} webhook deliveries`);
+            }
+            
             console.log('✅ Server configuration complete');
         } catch (error) {
             console.error('❌ Failed to initialize server:', error);
@@ -80,7 +230,8 @@ class SpeedFormatterServer {
             credentials: true
         }));
 
-        // Body parsing middleware
+        // Body parsing middleware, jobs accept larger payloads than synchronous requests
+        this.app.use('/api/v1/jobs', express.json({ limit: JOB_BODY_LIMIT }));
         this.app.use(express.json({ limit: '10mb' }));
         this.app.use(express.urlencoded({ extended: true }));
 
@@ -103,16 +254,43 @@ class SpeedFormatterServer {
                 version: '1.0.0',
                 runtime: 'node.js',
                 database: 'connected',
+                plugins: this.plugins.map(({ name, version, status, languages, error }) => ({
+                    name,
+                    version,
+                    status,
+                    languages,
+                    ...(error && { error })
+                })),
+                formatter_pool: this.formatterPool.stats(),
                 timestamp: new Date().toISOString()
             });
         });
 
+        // Supported languages and the file extensions they are detected by
+        this.app.get('/api/v1/languages', (req, res) => {
+            res.json({
+                languages: this.formatters.describe()
+            });
+        });
+
         // Authentication routes
         this.app.use('/auth', createAuthRoutes(this.userModel, this.authMiddleware));
 
         // API key management routes  
         this.app.use('/api-keys', createApiKeyRoutes(this.apiKeyModel, this.authMiddleware));
 
+        // Saved formatting profile routes
+        this.app.use('/profiles', createProfileRoutes(this.formatProfileModel, this.authMiddleware));
+
+        // Account webhook routes
+        this.app.use('/webhooks', createWebhookRoutes(this.webhookModel, this.webhookDispatcher, this.authMiddleware));
+
+        // Requests per minute by plan, each route that uses it gets its own budget
+        const planRateLimit = () => this.authMiddleware.createRateLimit({
+            windowMs: 1 * 60 * 1000, // 1 minute
+            max: (req) => PLAN_RATE_LIMITS[req.user?.plan] || PLAN_RATE_LIMITS.free
+        });
+
         // Public formatting endpoint (with optional authentication)
         this.app.post('/format', [
             this.authMiddleware.optionalAuth(),
@@ -127,9 +305,7 @@ class SpeedFormatterServer {
                 }
             }),
             this.authMiddleware.trackUsage(),
-            body('code').notEmpty().withMessage('Code is required'),
-            body('language').isIn(['javascript', 'typescript', 'json', 'css', 'html', 'markdown', 'rust'])
-                .withMessage('Invalid language')
+            ...formatRequestValidators()
         ], async (req, res) => {
             await this.handleFormat(req, res);
         });
@@ -137,24 +313,181 @@ class SpeedFormatterServer {
         // API-only formatting endpoint (requires API key)
         this.app.post('/api/v1/format', [
             this.authMiddleware.verifyApiKey(),
+            planRateLimit(),
+            this.authMiddleware.trackUsage(),
+            ...formatRequestValidators()
+        ], async (req, res) => {
+            await this.handleFormat(req, res);
+        });
+
+        // Batch formatting endpoint (requires API key, one rate limit hit per batch)
+        this.app.post('/api/v1/format/batch', [
+            this.authMiddleware.verifyApiKey(),
+            planRateLimit(),
+            this.authMiddleware.trackUsage(),
+            body('files').isArray({ min: 1, max: MAX_BATCH_FILES })
+                .withMessage(`Files must be an array of 1 to ${MAX_BATCH_FILES} entries`),
+            body('files.*.path').isString().trim().notEmpty()
+                .withMessage('Each file needs a path'),
+            body('files.*.code').isString()
+                .withMessage('Each file needs code as a string'),
+            this.formatters.languageValidator('files.*.language'),
+            ...formatSettingsValidators()
+        ], async (req, res) => {
+            await this.handleBatchFormat(req, res);
+        });
+
+        // Asynchronous formatting jobs (requires API key), for payloads too big to format in one request
+        this.app.post('/api/v1/jobs', [
+            this.authMiddleware.verifyApiKey(),
+            planRateLimit(),
+            body('files').optional().isArray({ min: 1, max: MAX_JOB_FILES })
+                .withMessage(`Files must be an array of 1 to ${MAX_JOB_FILES} entries`),
+            body('code').if(body('files').not().exists()).isString()
+                .withMessage('Provide either code or files')
+                .bail()
+                .notEmpty()
+                .withMessage('Code is required'),
+            body('filename').optional().isString().trim().isLength({ min: 1, max: 255 })
+                .withMessage('Filename must be between 1 and 255 characters'),
+            this.formatters.languageValidator(),
+            body('files.*.path').isString().trim().notEmpty()
+                .withMessage('Each file needs a path'),
+            body('files.*.code').isString()
+                .withMessage('Each file needs code as a string'),
+            this.formatters.languageValidator('files.*.language'),
+            outboundUrlValidator('callback_url', { optional: true }),
+            ...formatSettingsValidators()
+        ], async (req, res) => {
+            await this.handleJobSubmit(req, res);
+        });
+
+        // Polling doesn't count against the formatting rate limit
+        const jobReadLimit = this.authMiddleware.createRateLimit({
+            windowMs: 1 * 60 * 1000, // 1 minute
+            max: 120
+        });
+
+        this.app.get('/api/v1/jobs', [
+            this.authMiddleware.verifyApiKey(),
+            jobReadLimit,
+            query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+                .withMessage('Limit must be between 1 and 100')
+        ], async (req, res) => {
+            try {
+                const errors = validationResult(req);
+                if (!errors.isEmpty()) {
+                    return res.status(400).json({
+                        error: 'Validation failed',
+                        details: errors.array()
+                    });
+                }
+
+                const jobs = await this.formatJobModel.findByUser(req.user.id, { limit: req.query.limit });
+                res.json({ jobs: jobs.map(job => this.describeJob(job)) });
+            } catch (error) {
+                console.error('List jobs error:', error);
+                res.status(500).json({
+                    error: 'Failed to get jobs',
+                    details: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.get('/api/v1/jobs/:id', [
+            this.authMiddleware.verifyApiKey(),
+            jobReadLimit,
+            param('id').isUUID().withMessage('Invalid job id')
+        ], async (req, res) => {
+            try {
+                const job = validationResult(req).isEmpty() && await this.formatJobModel.findByUuid(req.params.id, req.user.id);
+                if (!job) {
+                    return res.status(404).json({
+                        error: 'Job not found',
+                        details: `No job with id '${req.params.id}'`
+                    });
+                }
+
+                res.json(this.describeJob(job));
+            } catch (error) {
+                console.error('Get job error:', error);
+                res.status(500).json({
+                    error: 'Failed to get job',
+                    details: 'Internal server error'
+                });
+            }
+        });
+
+        this.app.get('/api/v1/jobs/:id/results', [
+            this.authMiddleware.verifyApiKey(),
+            jobReadLimit,
+            param('id').isUUID().withMessage('Invalid job id')
+        ], async (req, res) => {
+            try {
+                const job = validationResult(req).isEmpty() && await this.formatJobModel.findByUuid(req.params.id, req.user.id);
+                if (!job) {
+                    return res.status(404).json({
+                        error: 'Job not found',
+                        details: `No job with id '${req.params.id}'`
+                    });
+                }
+                if (job.status === 'queued' || job.status === 'running') {
+                    return res.status(409).json({
+                        error: 'Job not finished',
+                        details: `Job is ${job.status}, ${job.processed_files}/${job.total_files} files processed`
+                    });
+                }
+
+                res.json({
+                    id: job.uuid,
+                    status: job.status,
+                    summary: job.summary,
+                    results: await this.formatJobModel.results(job.id)
+                });
+            } catch (error) {
+                console.error('Get job results error:', error);
+                res.status(500).json({
+                    error: 'Failed to get job results',
+                    details: 'Internal server error'
+                });
+            }
+        });
+
+        // Live formatting: one authenticated Server-Sent Events stream per editor.
+        // Revisions carry the session's token, checked in memory, so keystrokes
+        // don't pay for an auth lookup.
+        this.app.get('/api/v1/live', [
+            this.authMiddleware.verifyAuth(),
             this.authMiddleware.createRateLimit({
                 windowMs: 1 * 60 * 1000, // 1 minute
-                max: (req) => {
-                    const limits = {
-                        'free': 10,
-                        'basic': 100,
-                        'pro': 1000,
-                        'team': 10000
-                    };
-                    return limits[req.user?.plan] || 10;
-                }
+                max: 10
             }),
-            this.authMiddleware.trackUsage(),
-            body('code').notEmpty().withMessage('Code is required'),
-            body('language').isIn(['javascript', 'typescript', 'json', 'css', 'html', 'markdown', 'rust'])
-                .withMessage('Invalid language')
+            query('profile').optional().isString().trim().isLength({ min: 1, max: 100 })
+                .withMessage('Profile must be a profile name')
         ], async (req, res) => {
-            await this.handleFormat(req, res);
+            await this.handleLiveConnect(req, res);
+        });
+
+        this.app.post('/api/v1/live/:session/revisions', [
+            (req, res, next) => this.verifyLiveSession(req, res, next),
+            this.authMiddleware.createRateLimit({
+                windowMs: 1000,
+                max: LIVE_REVISIONS_PER_SECOND,
+                keyGenerator: (req) => req.liveSession.id
+            }),
+            body('revision').custom(value => Number.isInteger(value) && value >= 0)
+                .withMessage('Revision must be a non-negative integer'),
+            body('code').isString().withMessage('Code must be a string'),
+            body('document').optional().isString().isLength({ min: 1, max: 200 })
+                .withMessage('Document must be between 1 and 200 characters'),
+            this.formatters.languageValidator(),
+            body('filename').optional().isString().trim().isLength({ min: 1, max: 255 })
+                .withMessage('Filename must be between 1 and 255 characters'),
+            body('cursor_offset').optional().custom(value => Number.isInteger(value) && value >= 0)
+                .withMessage('Cursor offset must be a non-negative integer'),
+            ...optionValidators()
+        ], async (req, res) => {
+            await this.handleLiveRevision(req, res);
         });
 
         // Performance benchmark endpoint
@@ -166,7 +499,7 @@ class SpeedFormatterServer {
             
             for (let i = 0; i < iterations; i++) {
                 const start = Date.now();
-                await this.formatWithPrettier(sampleCode, 'babel');
+                await this.formatterPool.format(sampleCode, 'javascript');
                 times.push(Date.now() - start);
             }
             
@@ -185,16 +518,8 @@ class SpeedFormatterServer {
         });
 
         // Admin endpoint
-        this.app.get('/admin/stats', this.authMiddleware.verifyToken(), async (req, res) => {
+        this.app.get('/admin/stats', this.authMiddleware.verifyToken(), this.requireAdmin(), async (req, res) => {
             try {
-                // Only allow admin users
-                if (req.user.email !== 'admin@speedformatter.com') {
-                    return res.status(403).json({
-                        error: 'Access denied',
-                        details: 'Admin access required'
-                    });
-                }
-
                 const stats = await this.db.all(`
                     SELECT 
                         COUNT(DISTINCT u.id) as total_users,
@@ -231,6 +556,133 @@ class SpeedFormatterServer {
             }
         });
 
+        // Formatting cache hit rates and size
+        this.app.get('/admin/cache', this.authMiddleware.verifyToken(), this.requireAdmin(), async (req, res) => {
+            try {
+                res.json({
+                    cache: await this.formatCache.stats()
+                });
+            } catch (error) {
+                console.error('Admin cache stats error:', error);
+                res.status(500).json({
+                    error: 'Failed to get cache stats',
+                    details: 'Internal server error'
+                });
+            }
+        });
+
+        // Unstable formatter output found by verify requests
+        this.app.get('/admin/quality', [
+            this.authMiddleware.verifyToken(),
+            this.requireAdmin(),
+            query('language').optional().custom(value => this.formatters.has(value))
+                .withMessage('Unknown language'),
+            query('days').optional().isInt({ min: 1, max: 365 }).toInt()
+                .withMessage('Days must be between 1 and 365'),
+            query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+                .withMessage('Limit must be between 1 and 500')
+        ], async (req, res) => {
+            try {
+                const errors = validationResult(req);
+                if (!errors.isEmpty()) {
+                    return res.status(400).json({
+                        error: 'Validation failed',
+                        details: errors.array()
+                    });
+                }
+
+                const language = req.query.language && this.formatters.get(req.query.language).language;
+                res.json({
+                    summary: await this.qualityEventModel.summary({ days: req.query.days }),
+                    events: await this.qualityEventModel.recent({ language, limit: req.query.limit })
+                });
+            } catch (error) {
+                console.error('Admin quality events error:', error);
+                res.status(500).json({
+                    error: 'Failed to get quality events',
+                    details: 'Internal server error'
+                });
+            }
+        });
+
+        // Move a user to another plan
+        this.app.patch('/admin/users/:uuid/plan', [
+            this.authMiddleware.verifyToken(),
+            this.requireAdmin(),
+            param('uuid').isUUID().withMessage('Invalid user ID'),
+            body('plan').isIn(['free', 'basic', 'pro', 'team'])
+                .withMessage('Plan must be one of: free, basic, pro, team')
+        ], async (req, res) => {
+            try {
+                const errors = validationResult(req);
+                if (!errors.isEmpty()) {
+                    return res.status(400).json({
+                        error: 'Validation failed',
+                        details: errors.array()
+                    });
+                }
+
+                const target = await this.userModel.findByUuid(req.params.uuid);
+                const user = target && await this.userModel.updatePlan(target.id, req.body.plan);
+                if (!user) {
+                    return res.status(404).json({
+                        error: 'User not found',
+                        details: 'No active user with that ID'
+                    });
+                }
+
+                res.json({
+                    message: 'Plan updated successfully',
+                    user: {
+                        uuid: user.uuid,
+                        email: user.email,
+                        plan: user.plan_type || user.plan,
+                        monthly_limit: user.monthly_limit,
+                        current_usage: user.current_usage
+                    }
+                });
+            } catch (error) {
+                console.error('Admin plan update error:', error);
+                res.status(500).json({
+                    error: 'Failed to update plan',
+                    details: 'Internal server error'
+                });
+            }
+        });
+
+        // Purge the formatting cache, optionally for one language only
+        this.app.delete('/admin/cache', [
+            this.authMiddleware.verifyToken(),
+            this.requireAdmin(),
+            query('language').optional().custom(value => this.formatters.has(value))
+                .withMessage('Unknown language')
+        ], async (req, res) => {
+            try {
+                const errors = validationResult(req);
+                if (!errors.isEmpty()) {
+                    return res.status(400).json({
+                        error: 'Validation failed',
+                        details: errors.array()
+                    });
+                }
+
+                const language = req.query.language && this.formatters.get(req.query.language).language;
+                const purged = await this.formatCache.purge({ language });
+                console.log(`🧹 Format cache purged${language ? ` for ${language}` : ''} by ${req.user.email}`);
+
+                res.json({
+                    message: 'Cache purged successfully',
+                    ...purged
+                });
+            } catch (error) {
+                console.error('Admin cache purge error:', error);
+                res.status(500).json({
+                    error: 'Failed to purge cache',
+                    details: 'Internal server error'
+                });
+            }
+        });
+
         // Serve the main page
         this.app.get('/', async (req, res) => {
             try {
@@ -293,7 +745,7 @@ class SpeedFormatterServer {
                 });
             }
 
-            const { code, language } = req.body;
+            const { code } = req.body;
             
             // Check usage limits for authenticated users
             if (req.user) {
@@ -305,6 +757,128 @@ class SpeedFormatterServer {
                     });
                 }
             }
+
+            const profileResult = await this.resolveProfile(req);
+            if (profileResult.error) {
+                return res.status(profileResult.status).json(profileResult.error);
+            }
+            const { profile } = profileResult;
+
+            // Explicit language wins, otherwise infer it from the filename or content
+            const detection = req.body.language
+                ? { language: req.body.language, confidence: 1, source: 'request' }
+                : detectLanguage({ filename: req.body.filename, code });
+
+            if (!detection.language) {
+                return res.status(400).json({
+                    error: 'Language detection failed',
+                    details: 'Could not determine the language, please provide language or filename',
+                    candidates: detection.candidates
+                });
+            }
+            const formatter = this.formatters.get(detection.language);
+            if (!formatter) {
+                return res.status(400).json({
+                    error: 'Unsupported language',
+                    details: `Language '${detection.language}' is not supported`
+                });
+            }
+            const { language } = formatter;
+
+            if (req.body.cursor_offset > code.length) {
+                return res.status(400).json({
+                    error: 'Invalid cursor offset',
+                    details: `Cursor offset ${req.body.cursor_offset} is past the end of the input (${code.length} characters)`
+                });
+            }
+
+            let range = null;
+            if (req.body.range) {
+                if (!formatter.range) {
+                    const rangeLanguages = this.formatters.languages().filter(name => this.formatters.get(name).range);
+                    return res.status(400).json({
+                        error: 'Range formatting not supported',
+                        details: `Range formatting is only available for ${rangeLanguages.join(', ')}`
+                    });
+                }
+
+                try {
+                    range = toCharacterRange(code, req.body.range);
+                } catch (error) {
+                    return res.status(400).json({
+                        error: 'Invalid range',
+                        details: error.message
+                    });
+                }
+            }
+
+            // Project config files resolve against the filename, or a stand-in for the language
+            let config = null;
+            if (req.body.config) {
+                try {
+                    [config] = await resolveConfigOptions(req.body.config, [req.body.filename || `input${formatter.extensions[0] || ''}`]);
+                } catch (error) {
+                    if (!(error instanceof ConfigError)) throw error;
+                    return res.status(400).json({
+                        error: 'Invalid config',
+                        details: error.message
+                    });
+                }
+            }
+
+            const organizeImports = importSettings(req.body.organize_imports);
+            if (organizeImports) {
+                if (!formatter.organizeImports) {
+                    const importLanguages = this.formatters.languages().filter(name => this.formatters.get(name).organizeImports);
+                    return res.status(400).json({
+                        error: 'Organize imports not supported',
+                        details: `Organize imports is only available for ${importLanguages.join(', ')}`
+                    });
+                }
+                // Sorting moves code around, so a range would no longer point at the same text
+                if (range) {
+                    return res.status(400).json({
+                        error: 'Organize imports not supported',
+                        details: 'Organize imports cannot be combined with range formatting'
+                    });
+                }
+            }
+
+            // A second pass over a partly formatted document would reformat the rest
+            if (req.body.verify && range) {
+                return res.status(400).json({
+                    error: 'Verification not supported',
+                    details: 'Verify cannot be combined with range formatting'
+                });
+            }
+
+            if (req.body.format_code_blocks && !formatter.codeBlocks) {
+                const blockLanguages = this.formatters.languages().filter(name => this.formatters.get(name).codeBlocks);
+                return res.status(400).json({
+                    error: 'Code block formatting not supported',
+                    details: `Code block formatting is only available for ${blockLanguages.join(', ')}`
+                });
+            }
+
+            const style = req.body.style || 'pretty';
+            if (style === 'compact') {
+                if (!formatter.compact) {
+                    const compactLanguages = this.formatters.languages().filter(name => this.formatters.get(name).compact);
+                    return res.status(400).json({
+                        error: 'Compact style not supported',
+                        details: `Compact style is only available for ${compactLanguages.join(', ')}`
+                    });
+                }
+                // Compact output is a single stream of tokens, there are no lines to place a cursor or range on
+                const conflicts = ['range', 'cursor_offset', 'organize_imports', 'format_code_blocks']
+                    .filter(field => req.body[field] !== undefined && req.body[field] !== false);
+                if (conflicts.length > 0) {
+                    return res.status(400).json({
+                        error: 'Compact style not supported',
+                        details: `Compact style cannot be combined with ${conflicts.join(', ')}`
+                    });
+                }
+            }
             
             console.log(`Formatting ${language} code with ${code.length} characters for ${req.user?.email || 'anonymous'}`);
             
@@ -314,53 +888,62 @@ class SpeedFormatterServer {
                 input_length: code.length
             };
             
-            let formatted_code;
-            let formatter_used;
-            
-            switch (language.toLowerCase()) {
-                case 'javascript':
-                case 'js':
-                    formatted_code = await this.formatWithPrettier(code, 'babel');
-                    formatter_used = 'prettier (babel)';
-                    break;
-                    
-                case 'typescript':
-                case 'ts':
-                    formatted_code = await this.formatWithPrettier(code, 'typescript');
-                    formatter_used = 'prettier (typescript)';
-                    break;
-                    
-                case 'json':
-                    formatted_code = await this.formatWithPrettier(code, 'json');
-                    formatter_used = 'prettier (json)';
-                    break;
-                    
-                case 'css':
-                    formatted_code = await this.formatWithPrettier(code, 'css');
-                    formatter_used = 'prettier (css)';
-                    break;
-                    
-                case 'html':
-                    formatted_code = await this.formatWithPrettier(code, 'html');
-                    formatter_used = 'prettier (html)';
-                    break;
-                    
-                case 'markdown':
-                case 'md':
-                    formatted_code = await this.formatWithPrettier(code, 'markdown');
-                    formatter_used = 'prettier (markdown)';
-                    break;
-                    
-                case 'rust':
-                    formatted_code = this.formatRustBasic(code);
-                    formatter_used = 'basic rust formatter';
-                    break;
-                    
-                default:
-                    return res.status(400).json({
-                        error: 'Unsupported language',
-                        details: `Language '${language}' is not supported`
-                    });
+            const requestedOptions = this.requestOptions(profile, language, req.body.options, config?.options);
+            const signal = disconnectSignal(res);
+            const result = await this.formatCached(code, language, requestedOptions, {
+                range,
+                cursorOffset: req.body.cursor_offset,
+                organizeImports,
+                codeBlocks: req.body.format_code_blocks,
+                style,
+                lineEndings: req.body.line_endings,
+                signal
+            });
+            
+            const { formatted_code, formatter_used, options, cursor_offset, code_blocks, line_endings, cached } = result;
+            
+            // Check mode reports a diff instead of returning the formatted code
+            const mode = req.body.mode || 'format';
+            const output = mode === 'check'
+                ? await this.formatterPool.compare(code, formatted_code, req.body.filename, { signal })
+                : { formatted_code };
+            
+            if (cursor_offset !== undefined) {
+                output.cursor_offset = cursor_offset;
+            }
+            
+            if (range) {
+                output.range = {
+                    unit: req.body.range.unit || 'character',
+                    start: req.body.range.start,
+                    end: req.body.range.end,
+                    start_offset: range.start,
+                    end_offset: range.end,
+                    ...describeRangeChanges(code, formatted_code, range)
+                };
+            }
+            
+            if (code_blocks) {
+                output.code_blocks = code_blocks;
+            }
+            
+            if (config) {
+                output.config = {
+                    options: config.options,
+                    ignored_options: config.ignored
+                };
+            }
+            
+            if (req.body.verify) {
+                output.verification = await this.verifyIdempotency(code, result, language, requestedOptions, {
+                    organizeImports,
+                    codeBlocks: req.body.format_code_blocks,
+                    style,
+                    lineEndings: req.body.line_endings,
+                    filename: req.body.filename,
+                    userId: req.user?.id,
+                    signal
+                });
             }
             
             const execution_time_ms = Date.now() - startTime;
@@ -368,57 +951,893 @@ class SpeedFormatterServer {
             console.log(`Successfully formatted in ${execution_time_ms}ms using ${formatter_used}`);
             
             res.json({
-                formatted_code,
+                ...output,
+                mode,
+                style,
+                language,
+                language_detection: {
+                    source: detection.source,
+                    confidence: detection.confidence
+                },
                 execution_time_ms,
                 formatter_used,
+                cached,
+                options,
+                line_endings,
+                profile: profile?.name || null,
                 status: 'success',
                 input_length: code.length,
                 output_length: formatted_code.length,
-                user_plan: req.user?.plan || 'anonymous'
+                user_plan: req.user?.plan || 'anonymous',
+                quota: this.quotaAfter(req, 1)
             });
             
         } catch (error) {
             const execution_time_ms = Date.now() - startTime;
+            
+            if (error instanceof FormatCancelledError) {
+                console.log(`Formatting cancelled after ${execution_time_ms}ms, client disconnected`);
+                return;
+            }
+            
+            // Unparseable input is the client's problem, point at it
+            if (error instanceof FormatSyntaxError) {
+                console.log(`Syntax error in input: ${error.message}`);
+                return res.status(422).json({
+                    error: 'Syntax error',
+                    details: error.message,
+                    diagnostics: toDiagnostics(error, req.body.code),
+                    execution_time_ms
+                });
+            }
+            
             console.error('Formatting failed:', error.message);
             
+            res.status(this.formatErrorStatus(error)).json({
+                error: this.formatErrorTitle(error),
+                details: error.message,
+                execution_time_ms
+            });
+        }
+    }
+
+    async handleBatchFormat(req, res) {
+        const startTime = Date.now();
+        
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const { files } = req.body;
+            const settings = this.batchSettings(req.body);
+
+            // Every file counts against the monthly quota, so the whole batch must fit
+            const canUse = await this.userModel.checkUsageLimit(req.user.id, files.length);
+            if (!canUse) {
+                return res.status(429).json({
+                    error: 'Usage limit exceeded',
+                    details: `Batch of ${files.length} files exceeds the remaining monthly formatting limit`
+                });
+            }
+
+            const profileResult = await this.resolveProfile(req);
+            if (profileResult.error) {
+                return res.status(profileResult.status).json(profileResult.error);
+            }
+            const { profile } = profileResult;
+
+            let configs = [];
+            if (req.body.config) {
+                try {
+                    configs = await resolveConfigOptions(req.body.config, files.map(file => file.path));
+                } catch (error) {
+                    if (!(error instanceof ConfigError)) throw error;
+                    return res.status(400).json({
+                        error: 'Invalid config',
+                        details: error.message
+                    });
+                }
+            }
+
+            console.log(`Batch formatting ${files.length} files for ${req.user.email}`);
+
+            const results = [];
+            const formattedFiles = [];
+            const signal = disconnectSignal(res);
+
+            for (const [index, file] of files.entries()) {
+                try {
+                    const { result, usage } = await this.formatFile(file, {
+                        ...settings,
+                        profile,
+                        configOptions: configs[index]?.options
+                    }, { userId: req.user.id, signal });
+                    results.push(result);
+                    if (usage) formattedFiles.push(usage);
+                } catch (error) {
+                    if (error instanceof FormatCancelledError) {
+                        console.log(`Batch cancelled after ${formattedFiles.length}/${files.length} files, client disconnected`);
+                        return;
+                    }
+                    throw error;
+                }
+            }
+
+            // Only successfully formatted files are logged and billed
+            req.formattingData = {
+                files: formattedFiles
+            };
+
+            const execution_time_ms = Date.now() - startTime;
+
+            console.log(`Batch formatted ${formattedFiles.length}/${files.length} files in ${execution_time_ms}ms`);
+
+            res.json({
+                results,
+                summary: this.batchSummary(results, settings),
+                mode: settings.mode,
+                style: settings.style,
+                execution_time_ms,
+                profile: profile?.name || null,
+                status: 'success',
+                user_plan: req.user.plan,
+                quota: this.quotaAfter(req, formattedFiles.length)
+            });
+        } catch (error) {
+            const execution_time_ms = Date.now() - startTime;
+            console.error('Batch formatting failed:', error.message);
+
             res.status(500).json({
-                error: 'Formatting failed',
+                error: 'Batch formatting failed',
                 details: error.message,
                 execution_time_ms
             });
         }
     }
 
-    async formatWithPrettier(code, parser) {
+    // Monthly quota once this request is billed, from the usage loaded with the API key
+    quotaAfter(req, billed) {
+        const { monthly_limit, current_usage } = req.apiKey || {};
+        if (monthly_limit == null) return null;
+        const used = (current_usage || 0) + billed;
+        return {
+            monthly_limit,
+            current_usage: used,
+            remaining: Math.max(0, monthly_limit - used)
+        };
+    }
+
+    // Settings shared by every file of a batch or job, from the request body
+    batchSettings(body) {
+        return {
+            mode: body.mode || 'format',
+            style: body.style || 'pretty',
+            organizeImports: importSettings(body.organize_imports),
+            codeBlocks: body.format_code_blocks,
+            verify: body.verify,
+            lineEndings: body.line_endings,
+            options: body.options
+        };
+    }
+
+    // Format one file of a batch or job. Failures are reported in the result,
+    // `usage` is the usage log entry for a successfully formatted file.
+    // With `waitWhenBusy` a full pool queue is thrown for the caller to retry,
+    // otherwise it is reported as a failed file like any other error
+    async formatFile(file, settings, { userId, signal, waitWhenBusy = false }) {
+        const { mode, style, organizeImports, codeBlocks, verify, lineEndings } = settings;
+        const fileStart = Date.now();
+        const detection = file.language
+            ? { language: file.language, confidence: 1, source: 'request' }
+            : detectLanguage({ filename: file.path, code: file.code });
+        const language = this.formatters.get(detection.language)?.language || null;
+
+        if (!language) {
+            return {
+                result: {
+                    path: file.path,
+                    status: 'error',
+                    error: 'Language detection failed',
+                    details: `Could not determine language for '${file.path}'`,
+                    candidates: detection.candidates
+                }
+            };
+        }
+
+        if (file.code.length === 0) {
+            return {
+                result: {
+                    path: file.path,
+                    language,
+                    status: 'error',
+                    error: 'Validation failed',
+                    details: 'Code is required'
+                }
+            };
+        }
+
+        if (style === 'compact' && !this.formatters.get(language).compact) {
+            return {
+                result: {
+                    path: file.path,
+                    language,
+                    status: 'error',
+                    error: 'Compact style not supported',
+                    details: `Compact style is not available for ${language}`
+                }
+            };
+        }
+
+        try {
+            const requestedOptions = this.requestOptions(settings.profile, language, settings.options, settings.configOptions);
+            const result = await this.formatCached(file.code, language, requestedOptions, {
+                organizeImports,
+                codeBlocks,
+                style,
+                lineEndings,
+                signal
+            });
+            const comparison = mode === 'check' && await this.formatterPool.compare(file.code, result.formatted_code, file.path, { signal });
+            const verification = verify && await this.verifyIdempotency(file.code, result, language, requestedOptions, {
+                organizeImports,
+                codeBlocks,
+                style,
+                lineEndings,
+                filename: file.path,
+                userId,
+                signal
+            });
+            const execution_time_ms = Date.now() - fileStart;
+
+            return {
+                result: {
+                    path: file.path,
+                    language,
+                    language_detection: {
+                        source: detection.source,
+                        confidence: detection.confidence
+                    },
+                    status: 'success',
+                    ...(comparison || { formatted_code: result.formatted_code }),
+                    formatter_used: result.formatter_used,
+                    ...(result.code_blocks && { code_blocks: result.code_blocks }),
+                    ...(verification && { verification }),
+                    cached: result.cached,
+                    options: result.options,
+                    line_endings: result.line_endings,
+                    execution_time_ms,
+                    input_length: file.code.length,
+                    output_length: result.formatted_code.length
+                },
+                usage: {
+                    language,
+                    input_length: file.code.length,
+                    output_length: result.formatted_code.length,
+                    execution_time_ms,
+                    formatter_used: result.formatter_used
+                }
+            };
+        } catch (error) {
+            if (error instanceof FormatCancelledError) throw error;
+            if (waitWhenBusy && error instanceof FormatQueueFullError) throw error;
+            return {
+                result: {
+                    path: file.path,
+                    language,
+                    status: 'error',
+                    error: this.formatErrorTitle(error),
+                    details: error.message,
+                    ...(error instanceof FormatSyntaxError && { diagnostics: toDiagnostics(error, file.code) }),
+                    execution_time_ms: Date.now() - fileStart
+                }
+            };
+        }
+    }
+
+    batchSummary(results, { mode, verify }) {
+        const succeeded = results.filter(result => result.status === 'success').length;
+        const summary = {
+            total: results.length,
+            succeeded,
+            failed: results.length - succeeded
+        };
+        if (mode === 'check') {
+            summary.unformatted = results.filter(result => result.formatted === false).length;
+        }
+        if (verify) {
+            summary.unstable = results.filter(result => result.verification?.idempotent === false).length;
+        }
+        return summary;
+    }
+
+    async handleJobSubmit(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            // A single large payload is a job of one file
+            const files = req.body.files || [{
+                path: req.body.filename || 'input',
+                code: req.body.code,
+                ...(req.body.language && { language: req.body.language })
+            }];
+
+            // The whole job must fit the monthly quota when it is submitted
+            const canUse = await this.userModel.checkUsageLimit(req.user.id, files.length);
+            if (!canUse) {
+                return res.status(429).json({
+                    error: 'Usage limit exceeded',
+                    details: `Job of ${files.length} files exceeds the remaining monthly formatting limit`
+                });
+            }
+
+            const profileResult = await this.resolveProfile(req);
+            if (profileResult.error) {
+                return res.status(profileResult.status).json(profileResult.error);
+            }
+            const { profile } = profileResult;
+
+            let configs = [];
+            if (req.body.config) {
+                try {
+                    configs = await resolveConfigOptions(req.body.config, files.map(file => file.path));
+                } catch (error) {
+                    if (!(error instanceof ConfigError)) throw error;
+                    return res.status(400).json({
+                        error: 'Invalid config',
+                        details: error.message
+                    });
+                }
+            }
+
+            // Profile and config are resolved now, later edits don't change a queued job
+            const job = await this.formatJobModel.create(req.user.id, {
+                api_key_id: req.apiKey.id,
+                request: {
+                    files,
+                    mode: req.body.mode,
+                    style: req.body.style,
+                    organize_imports: req.body.organize_imports,
+                    format_code_blocks: req.body.format_code_blocks,
+                    verify: req.body.verify,
+                    line_endings: req.body.line_endings,
+                    options: req.body.options,
+                    profile: profile && { name: profile.name, options: profile.options, language_options: profile.language_options },
+                    config_options: configs.map(config => config.options),
+                    client: { ip: req.ip, user_agent: req.headers['user-agent'] || null }
+                },
+                total_files: files.length,
+                callback_url: req.body.callback_url,
+                retention_hours: this.jobRetentionHours
+            });
+
+            console.log(`📥 Job ${job.uuid} queued with ${files.length} files for ${req.user.email}`);
+            this.enqueueJob(job.id);
+
+            res.status(202).location(`/api/v1/jobs/${job.uuid}`).json(this.describeJob(job));
+        } catch (error) {
+            console.error('Job submission failed:', error.message);
+            res.status(500).json({
+                error: 'Job submission failed',
+                details: error.message
+            });
+        }
+    }
+
+    describeJob(job) {
+        return {
+            id: job.uuid,
+            status: job.status,
+            progress: {
+                total: job.total_files,
+                processed: job.processed_files,
+                succeeded: job.succeeded_files,
+                failed: job.processed_files - job.succeeded_files,
+                percent: Math.floor((job.processed_files / job.total_files) * 100)
+            },
+            summary: job.summary,
+            error: job.error,
+            callback: job.callback_url ? {
+                url: job.callback_url,
+                status: job.callback_status,
+                attempts: job.callback_attempts,
+                error: job.callback_error
+            } : null,
+            results_url: `/api/v1/jobs/${job.uuid}/results`,
+            created_at: job.created_at,
+            started_at: job.started_at,
+            completed_at: job.completed_at,
+            expires_at: job.expires_at
+        };
+    }
+
+    // Jobs run one at a time, so they never take over the pool from interactive requests
+    enqueueJob(id) {
+        this.jobQueue.push(id);
+        if (!this.jobRunning) {
+            this.drainJobs().catch(error => console.error('Job runner error:', error));
+        }
+    }
+
+    async drainJobs() {
+        this.jobRunning = true;
+        try {
+            while (this.jobQueue.length > 0) {
+                await this.runJob(this.jobQueue.shift());
+            }
+        } finally {
+            this.jobRunning = false;
+        }
+    }
+
+    async runJob(id) {
+        const job = await this.formatJobModel.findById(id);
+        if (!job) return;
+        const request = await this.formatJobModel.findRequest(id);
+        const settings = this.batchSettings(request);
+        const startTime = Date.now();
+
+        let outcome;
+        try {
+            await this.formatJobModel.markRunning(id);
+
+            // Files formatted before a restart are already stored
+            const processed = new Set(await this.formatJobModel.processedIndexes(id));
+            for (const [index, file] of request.files.entries()) {
+                if (processed.has(index)) continue;
+
+                // Other requests may use up the quota while the job runs, so
+                // it is checked again before each billed file
+                if (!await this.userModel.checkUsageLimit(job.user_id)) {
+                    await this.formatJobModel.saveResult(id, index, {
+                        path: file.path,
+                        status: 'error',
+                        error: 'Usage limit exceeded',
+                        details: 'Monthly formatting limit reached. Please upgrade your plan.'
+                    });
+                    continue;
+                }
+
+                const { result, usage } = await this.formatJobFile(file, {
+                    ...settings,
+                    profile: request.profile,
+                    configOptions: request.config_options[index]
+                }, job);
+                await this.formatJobModel.saveResult(id, index, result);
+
+                if (usage) {
+                    await this.authMiddleware.recordUsage({
+                        user_id: job.user_id,
+                        api_key_id: job.api_key_id,
+                        ip_address: request.client.ip,
+                        user_agent: request.client.user_agent
+                    }, [usage]);
+                }
+            }
+
+            const summary = this.batchSummary(await this.formatJobModel.results(id), settings);
+            outcome = { status: 'completed', summary };
+        } catch (error) {
+            console.error(`Job ${job.uuid} failed:`, error.message);
+            outcome = { status: 'failed', error: error.message };
+        }
+
+        await this.formatJobModel.finish(id, { ...outcome, retention_hours: this.jobRetentionHours });
+        console.log(`📦 Job ${job.uuid} ${outcome.status} in ${Date.now() - startTime}ms`);
+
+        this.deliverJobCallback(id).catch(error => console.error('Job callback error:', error.message));
+    }
+
+    // A full queue is transient (often this job's own files), so wait for the
+    // pool with backoff and only record real formatting errors
+    async formatJobFile(file, settings, job) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.formatFile(file, settings, { userId: job.user_id, waitWhenBusy: true });
+            } catch (error) {
+                if (!(error instanceof FormatQueueFullError)) throw error;
+                await sleep(Math.min(JOB_BUSY_RETRY_MAX_MS, 100 * 2 ** (attempt - 1)), null, { ref: false });
+            }
+        }
+    }
+
+    // POST the finished job to its callback URL, retrying with backoff
+    async deliverJobCallback(id) {
+        const job = await this.formatJobModel.findById(id);
+        if (!job?.callback_url) return;
+
+        const payload = JSON.stringify({ event: `job.${job.status}`, job: this.describeJob(job) });
+        let lastError = null;
+        for (let attempt = 1; attempt <= JOB_CALLBACK_ATTEMPTS; attempt++) {
+            try {
+                // Refuses internal addresses at connect time, like webhook deliveries
+                const response = await postJson(job.callback_url, payload, {
+                    headers: { 'user-agent': 'speed-formatter-jobs' },
+                    timeoutMs: JOB_CALLBACK_TIMEOUT_MS
+                });
+                if (response.ok) {
+                    await this.formatJobModel.updateCallback(id, { status: 'delivered', attempts: attempt });
+                    return;
+                }
+                lastError = `Callback responded with HTTP ${response.status}`;
+            } catch (error) {
+                lastError = error.message;
+            }
+
+            if (attempt < JOB_CALLBACK_ATTEMPTS) {
+                await sleep(1000 * 2 ** (attempt - 1), null, { ref: false });
+            }
+        }
+
+        console.warn(`⚠️  Job ${job.uuid} callback failed: ${lastError}`);
+        await this.formatJobModel.updateCallback(id, { status: 'failed', attempts: JOB_CALLBACK_ATTEMPTS, error: lastError });
+    }
+
+    async resumeJobs() {
+        const unfinished = await this.formatJobModel.findUnfinished();
+        if (unfinished.length > 0) {
+            console.log(`📦 Resuming ${unfinished.length} formatting jobs`);
+        }
+        unfinished.forEach(id => this.enqueueJob(id));
+
+        for (const id of await this.formatJobModel.findPendingCallbacks()) {
+            this.deliverJobCallback(id).catch(error => console.error('Job callback error:', error.message));
+        }
+
+        // Jobs past their retention window are removed with their results
+        await this.expireJobs();
+        setInterval(() => this.expireJobs(), 60 * 60 * 1000).unref();
+    }
+
+    async expireJobs() {
+        try {
+            const removed = await this.formatJobModel.deleteExpired();
+            if (removed > 0) {
+                console.log(`🧹 Removed ${removed} expired formatting jobs`);
+            }
+        } catch (error) {
+            console.error('Job expiry error:', error.message);
+        }
+    }
+
+    async handleLiveConnect(req, res) {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: errors.array()
+                });
+            }
+
+            const sessions = [...this.liveSessions.values()].filter(session => session.user.id === req.user.id);
+            if (sessions.length >= MAX_LIVE_SESSIONS) {
+                return res.status(429).json({
+                    error: 'Too many live sessions',
+                    details: `You can have at most ${MAX_LIVE_SESSIONS} live sessions open`
+                });
+            }
+
+            // Options for the whole session come from a profile, or per revision
+            const profileResult = await this.resolveProfile(req, req.query.profile);
+            if (profileResult.error) {
+                return res.status(profileResult.status).json(profileResult.error);
+            }
+
+            const session = new LiveSession({
+                user: req.user,
+                apiKey: req.apiKey || null,
+                profile: profileResult.profile,
+                client: { ip_address: req.ip, user_agent: req.headers['user-agent'] || null },
+                maxDocuments: MAX_LIVE_DOCUMENTS,
+                format: payload => this.formatLiveRevision(session, payload),
+                record: usage => this.authMiddleware.recordUsage({
+                    user_id: session.user.id,
+                    api_key_id: session.apiKey?.id,
+                    ...session.client
+                }, [usage]),
+                send: (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+            });
+            this.liveSessions.set(session.id, session);
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            session.emit('session', {
+                session_id: session.id,
+                revisions_url: `/api/v1/live/${session.id}/revisions`,
+                revision_token: session.token,
+                heartbeat_ms: LIVE_HEARTBEAT_MS
+            });
+
+            // Comments keep proxies from closing an idle stream
+            const heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_HEARTBEAT_MS);
+            res.on('close', () => {
+                clearInterval(heartbeat);
+                session.close();
+                this.liveSessions.delete(session.id);
+                console.log(`🔌 Live session closed for ${req.user.email}`);
+            });
+
+            console.log(`🔌 Live session opened for ${req.user.email}`);
+        } catch (error) {
+            console.error('Live session failed:', error.message);
+            res.status(500).json({
+                error: 'Live session failed',
+                details: error.message
+            });
+        }
+    }
+
+    // Find the session a revision is posted to and check its token
+    verifyLiveSession(req, res, next) {
+        const session = this.liveSessions.get(req.params.session);
+        // A wrong token is reported like a missing session, so ids can't be probed
+        if (!session || !session.authenticate(req.headers['x-live-token'])) {
+            return res.status(404).json({
+                error: 'Live session not found',
+                details: 'The session has ended, open a new stream'
+            });
+        }
+        req.liveSession = session;
+        next();
+    }
+
+    handleLiveRevision(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors.array()
+            });
+        }
+
+        const { status, body } = req.liveSession.submit(req.body);
+        res.status(status).json(body);
+    }
+
+    // Format one revision into the event to send, with the usage entry to bill
+    async formatLiveRevision(session, payload) {
+        const startTime = Date.now();
+        const detection = payload.language
+            ? { language: payload.language }
+            : detectLanguage({ filename: payload.filename, code: payload.code });
+        const formatter = this.formatters.get(detection.language);
+        if (!formatter) {
+            return {
+                type: 'error',
+                data: { error: 'Language detection failed', details: 'Could not determine the language, please provide language or filename' }
+            };
+        }
+        if (payload.cursor_offset > payload.code.length) {
+            return {
+                type: 'error',
+                data: { error: 'Invalid cursor offset', details: `Cursor offset ${payload.cursor_offset} is past the end of the input` }
+            };
+        }
+
+        if (!await this.userModel.checkUsageLimit(session.user.id)) {
+            return {
+                type: 'error',
+                data: { error: 'Usage limit exceeded', details: 'Monthly formatting limit reached. Please upgrade your plan.' }
+            };
+        }
+
+        const { language } = formatter;
         try {
-            return await prettier.format(code, {
-                parser,
-                semi: true,
-                singleQuote: true,
-                trailingComma: 'es5',
-                tabWidth: 2,
-                printWidth: 80
+            const result = await this.formatCached(payload.code, language, this.requestOptions(session.profile, language, payload.options), {
+                cursorOffset: payload.cursor_offset,
+                signal: session.signal
             });
+            const execution_time_ms = Date.now() - startTime;
+
+            return {
+                type: 'result',
+                data: {
+                    language,
+                    formatted_code: result.formatted_code,
+                    changed: result.formatted_code !== payload.code,
+                    ...(result.cursor_offset !== undefined && { cursor_offset: result.cursor_offset }),
+                    formatter_used: result.formatter_used,
+                    cached: result.cached,
+                    execution_time_ms
+                },
+                usage: {
+                    language,
+                    input_length: payload.code.length,
+                    output_length: result.formatted_code.length,
+                    execution_time_ms,
+                    formatter_used: result.formatter_used
+                }
+            };
         } catch (error) {
-            throw new Error(`Prettier formatting failed: ${error.message}`);
+            if (error instanceof FormatCancelledError) throw error;
+            if (error instanceof FormatSyntaxError) {
+                return {
+                    type: 'diagnostics',
+                    data: { language, error: 'Syntax error', details: error.message, diagnostics: toDiagnostics(error, payload.code) }
+                };
+            }
+            return {
+                type: 'error',
+                data: { language, error: this.formatErrorTitle(error), details: error.message }
+            };
         }
     }
 
-    formatRustBasic(code) {
-        return code
-            .replace(/([=!<>+\-*\/])([^=])/g, '$1 $2')
-            .replace(/([^=])([=!<>+\-*\/])/g, '$1 $2')
-            .replace(/,([^\s])/g, ', $1')
-            .replace(/\{([^\s])/g, '{ $1')
-            .replace(/([^\s])\}/g, '$1 }')
-            .replace(/\s+/g, ' ')
-            .split('\n')
-            .map(line => line.trim())
-            .join('\n')
-            .replace(/\{/g, ' {\n    ')
-            .replace(/\}/g, '\n}')
-            .replace(/\n\s*\n/g, '\n')
-            .trim();
+    // Named profile wins, otherwise API key requests use the owner's default profile
+    async resolveProfile(req, name = req.body?.profile) {
+        if (name) {
+            if (!req.user) {
+                return {
+                    status: 401,
+                    error: {
+                        error: 'Authentication required',
+                        details: 'Profiles are only available to authenticated requests'
+                    }
+                };
+            }
+
+            const profile = await this.formatProfileModel.findByName(req.user.id, name);
+            if (!profile) {
+                return {
+                    status: 404,
+                    error: {
+                        error: 'Profile not found',
+                        details: `No profile named '${name}'`
+                    }
+                };
+            }
+            return { profile };
+        }
+
+        if (req.apiKey) {
+            return { profile: await this.formatProfileModel.findDefault(req.user.id) };
+        }
+
+        return { profile: null };
+    }
+
+    // Only the admin account may use /admin endpoints
+    requireAdmin() {
+        return (req, res, next) => {
+            if (req.user.email !== 'admin@speedformatter.com') {
+                return res.status(403).json({
+                    error: 'Access denied',
+                    details: 'Admin access required'
+                });
+            }
+            next();
+        };
+    }
+
+    // Format through the cache, only misses reach the worker pool
+    async formatCached(code, language, requestedOptions, { range = null, cursorOffset, organizeImports = null, codeBlocks = false, style = 'pretty', lineEndings = 'auto', signal } = {}) {
+        const formatter = this.formatters.get(language);
+        // Compact output comes from its own formatter and takes no options
+        const compact = style === 'compact' ? formatter.compact : null;
+        const key = this.formatCache.key({
+            code,
+            language: formatter.language,
+            formatter: compact ? compact.name : formatter.name,
+            version: compact ? compact.version : formatter.version,
+            options: compact ? {} : this.formatters.resolveOptions(formatter, requestedOptions),
+            range,
+            cursorOffset,
+            organizeImports: this.formatters.resolveImportSettings(formatter, organizeImports),
+            // Fences may use any formatter, so all of their versions are part of the key
+            codeBlocks: formatter.codeBlocks && codeBlocks ? this.formatters.versions() : null,
+            lineEndings
+        });
+
+        const hit = await this.formatCache.get(key);
+        if (hit) return { ...hit, cached: true };
+
+        const result = await this.formatterPool.format(code, language, requestedOptions, { range, cursorOffset, organizeImports, codeBlocks, style, lineEndings, signal });
+        // Storing doesn't hold up the response, cache errors are logged and ignored
+        this.formatCache.set(key, formatter.language, result);
+        return { ...result, cached: false };
+    }
+
+    // Format the output a second time, a stable formatter returns it unchanged.
+    // Instability is reported to the client and recorded as a quality event.
+    async verifyIdempotency(input, firstPass, language, requestedOptions, { organizeImports = null, codeBlocks = false, style = 'pretty', lineEndings = 'auto', filename, userId = null, signal } = {}) {
+        const formatter = this.formatters.get(language);
+        const event = {
+            language,
+            formatter_used: firstPass.formatter_used,
+            formatter_version: (style === 'compact' ? formatter.compact : formatter).version,
+            options: firstPass.options,
+            input,
+            user_id: userId
+        };
+
+        let secondPass;
+        try {
+            secondPass = await this.formatCached(firstPass.formatted_code, language, requestedOptions, {
+                organizeImports,
+                codeBlocks,
+                style,
+                lineEndings,
+                signal
+            });
+        } catch (error) {
+            if (error instanceof FormatCancelledError) throw error;
+            // A busy or slow pool says nothing about the formatter's output
+            if (error instanceof FormatTimeoutError || error instanceof FormatQueueFullError) {
+                return { idempotent: null, error: this.formatErrorTitle(error), details: error.message };
+            }
+
+            await this.recordQualityEvent({ ...event, event: 'second_pass_failed', details: error.message });
+            return { idempotent: false, error: this.formatErrorTitle(error), details: error.message };
+        }
+
+        let comparison;
+        try {
+            comparison = await this.formatterPool.compare(firstPass.formatted_code, secondPass.formatted_code, filename, { signal });
+        } catch (error) {
+            if (error instanceof FormatCancelledError) throw error;
+            return { idempotent: null, error: this.formatErrorTitle(error), details: error.message };
+        }
+        if (comparison.formatted) {
+            return { idempotent: true };
+        }
+
+        await this.recordQualityEvent({ ...event, event: 'unstable_output', diff: comparison.diff });
+        return {
+            idempotent: false,
+            ...(comparison.too_many_changes && { too_many_changes: true }),
+            diff: comparison.diff,
+            changed_lines: comparison.changed_lines,
+            lines_added: comparison.lines_added,
+            lines_removed: comparison.lines_removed
+        };
+    }
+
+    // Quality events are for operators, failing to record one never fails a request
+    async recordQualityEvent(event) {
+        console.warn(`⚠️  Formatter quality event ${event.event}: ${event.language} via ${event.formatter_used}`);
+        try {
+            await this.qualityEventModel.record(event);
+        } catch (error) {
+            console.error('Quality event error:', error.message);
+        }
+    }
+
+    // Timeouts and a full queue are the pool's doing, not the input's
+    formatErrorStatus(error) {
+        if (error instanceof FormatTimeoutError) return 504;
+        if (error instanceof FormatQueueFullError) return 503;
+        return 500;
+    }
+
+    formatErrorTitle(error) {
+        if (error instanceof FormatSyntaxError) return 'Syntax error';
+        if (error instanceof FormatTimeoutError) return 'Formatting timed out';
+        if (error instanceof FormatQueueFullError) return 'Formatter busy';
+        return 'Formatting failed';
+    }
+
+    // Request options override the project config, which overrides the profile
+    requestOptions(profile, language, options = {}, configOptions = {}) {
+        return {
+            ...this.formatProfileModel.optionsFor(profile, language),
+            ...configOptions,
+            ...options
+        };
     }
 
     async start() {
@@ -429,8 +1848,13 @@ class SpeedFormatterServer {
             console.log(`📊 Health check: http://localhost:${this.PORT}/health`);
             console.log(`🎨 Format API: POST http://localhost:${this.PORT}/format`);
             console.log(`🔑 API endpoint: POST http://localhost:${this.PORT}/api/v1/format`);
+            console.log(`📦 Batch endpoint: POST http://localhost:${this.PORT}/api/v1/format/batch`);
+            console.log(`📥 Jobs: http://localhost:${this.PORT}/api/v1/jobs`);
+            console.log(`🔌 Live formatting: GET http://localhost:${this.PORT}/api/v1/live`);
             console.log(`👤 Auth endpoints: http://localhost:${this.PORT}/auth/*`);
             console.log(`🔐 API keys: http://localhost:${this.PORT}/api-keys/*`);
+            console.log(`🎛️  Profiles: http://localhost:${this.PORT}/profiles/*`);
+            console.log(`🪝 Webhooks: http://localhost:${this.PORT}/webhooks/*`);
             console.log(`🌐 Web Interface: http://localhost:${this.PORT}`);
             console.log('\n💡 Production SaaS ready with auth, billing foundation, and API!');
         });
@@ -438,6 +1862,9 @@ class SpeedFormatterServer {
         // Graceful shutdown
         process.on('SIGTERM', async () => {
             console.log('SIGTERM received, shutting down gracefully');
+            if (this.formatterPool) {
+                await this.formatterPool.close();
+            }
             if (this.db) {
                 await this.db.close();
             }
@@ -446,6 +1873,9 @@ class SpeedFormatterServer {
 
         process.on('SIGINT', async () => {
             console.log('SIGINT received, shutting down gracefully');
+            if (this.formatterPool) {
+                await this.formatterPool.close();
+            }
             if (this.db) {
                 await this.db.close();
             }
@@ -1,9 +1,9 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const prettier = require('prettier');
 const fs = require('fs').promises;
 const path = require('path');
+const formatters = require('./formatters');
 const { body, validationResult } = require('express-validator');
 
 // Import our models and middleware
@@ -102,8 +102,7 @@ app.post('/format', [
     }),
     authMiddleware.trackUsage(),
     body('code').notEmpty().withMessage('Code is required'),
-    body('language').isIn(['javascript', 'typescript', 'json', 'css', 'html', 'markdown', 'rust'])
-        .withMessage('Invalid language')
+    formatters.languageValidator('language', { optional: false })
 ], async (req, res) => {
     const startTime = Date.now();
     
@@ -137,54 +136,14 @@ app.post('/format', [
             input_length: code.length
         };
         
-        let formatted_code;
-        let formatter_used;
-        
-        switch (language.toLowerCase()) {
-            case 'javascript':
-            case 'js':
-                formatted_code = await formatWithPrettier(code, 'babel');
-                formatter_used = 'prettier (babel)';
-                break;
-                
-            case 'typescript':
-            case 'ts':
-                formatted_code = await formatWithPrettier(code, 'typescript');
-                formatter_used = 'prettier (typescript)';
-                break;
-                
-            case 'json':
-                formatted_code = await formatWithPrettier(code, 'json');
-                formatter_used = 'prettier (json)';
-                break;
-                
-            case 'css':
-                formatted_code = await formatWithPrettier(code, 'css');
-                formatter_used = 'prettier (css)';
-                break;
-                
-            case 'html':
-                formatted_code = await formatWithPrettier(code, 'html');
-                formatter_used = 'prettier (html)';
-                break;
-                
-            case 'markdown':
-            case 'md':
-                formatted_code = await formatWithPrettier(code, 'markdown');
-                formatter_used = 'prettier (markdown)';
-                break;
-                
-            case 'rust':
-                formatted_code = formatRustBasic(code);
-                formatter_used = 'basic rust formatter';
-                break;
-                
-            default:
-                return res.status(400).json({
-                    error: 'Unsupported language',
-                    details: `Language '${language}' is not supported`
-                });
+        const result = await formatters.format(code, language);
+        if (!result) {
+            return res.status(400).json({
+                error: 'Unsupported language',
+                details: `Language '${language}' is not supported`
+            });
         }
+        const { formatted_code, formatter_used } = result;
         
         const execution_time_ms = Date.now() - startTime;
         
@@ -229,8 +188,7 @@ app.post('/api/v1/format', [
     }),
     authMiddleware.trackUsage(),
     body('code').notEmpty().withMessage('Code is required'),
-    body('language').isIn(['javascript', 'typescript', 'json', 'css', 'html', 'markdown', 'rust'])
-        .withMessage('Invalid language')
+    formatters.languageValidator('language', { optional: false })
 ], async (req, res) => {
     // Same formatting logic as public endpoint
     // This will be processed by the existing /format handler
@@ -253,7 +211,7 @@ app.get('/benchmark', async (req, res) => {
     
     for (let i = 0; i < iterations; i++) {
         const start = Date.now();
-        await formatWithPrettier(sampleCode, 'babel');
+        await formatters.format(sampleCode, 'javascript');
         times.push(Date.now() - start);
     }
     
@@ -348,40 +306,6 @@ app.use((error, req, res, next) => {
     });
 });
 
-// Prettier formatting function
-async function formatWithPrettier(code, parser) {
-    try {
-        return await prettier.format(code, {
-            parser,
-            semi: true,
-            singleQuote: true,
-            trailingComma: 'es5',
-            tabWidth: 2,
-            printWidth: 80
-        });
-    } catch (error) {
-        throw new Error(`Prettier formatting failed: ${error.message}`);
-    }
-}
-
-// Basic Rust formatter
-function formatRustBasic(code) {
-    return code
-        .replace(/([=!<>+\-*\/])([^=])/g, '$1 $2')
-        .replace(/([^=])([=!<>+\-*\/])/g, '$1 $2')
-        .replace(/,([^\s])/g, ', $1')
-        .replace(/\{([^\s])/g, '{ $1')
-        .replace(/([^\s])\}/g, '$1 }')
-        .replace(/\s+/g, ' ')
-        .split('\n')
-        .map(line => line.trim())
-        .join('\n')
-        .replace(/\{/g, ' {\n    ')
-        .replace(/\}/g, '\n}')
-        .replace(/\n\s*\n/g, '\n')
-        .trim();
-}
-
 // Graceful shutdown
 process.on('SIGTERM', async () => {
     console.log('SIGTERM received, shutting down gracefully');
@@ -1,8 +1,8 @@
 const express = require('express');
 const cors = require('cors');
-const prettier = require('prettier');
 const fs = require('fs').promises;
 const path = require('path');
+const formatters = require('./formatters');
 
 const app = express();
 const PORT = 3000;
@@ -39,55 +39,14 @@ app.post('/format', async (req, res) => {
         
         console.log(`Formatting ${language} code with ${code.length} characters`);
         
-        let formatted_code;
-        let formatter_used;
-        
-        switch (language.toLowerCase()) {
-            case 'javascript':
-            case 'js':
-                formatted_code = await formatWithPrettier(code, 'babel');
-                formatter_used = 'prettier (babel)';
-                break;
-                
-            case 'typescript':
-            case 'ts':
-                formatted_code = await formatWithPrettier(code, 'typescript');
-                formatter_used = 'prettier (typescript)';
-                break;
-                
-            case 'json':
-                formatted_code = await formatWithPrettier(code, 'json');
-                formatter_used = 'prettier (json)';
-                break;
-                
-            case 'css':
-                formatted_code = await formatWithPrettier(code, 'css');
-                formatter_used = 'prettier (css)';
-                break;
-                
-            case 'html':
-                formatted_code = await formatWithPrettier(code, 'html');
-                formatter_used = 'prettier (html)';
-                break;
-                
-            case 'markdown':
-            case 'md':
-                formatted_code = await formatWithPrettier(code, 'markdown');
-                formatter_used = 'prettier (markdown)';
-                break;
-                
-            case 'rust':
-                // For demo purposes, just clean up whitespace and basic formatting
-                formatted_code = formatRustBasic(code);
-                formatter_used = 'basic rust formatter';
-                break;
-                
-            default:
-                return res.status(400).json({
-                    error: 'Unsupported language',
-                    details: `Language '${language}' is not supported. Supported: javascript, typescript, json, css, html, markdown, rust`
-                });
+        const result = await formatters.format(code, language);
+        if (!result) {
+            return res.status(400).json({
+                error: 'Unsupported language',
+                details: `Language '${language}' is not supported. Supported: ${formatters.acceptedNames().join(', ')}`
+            });
         }
+        const { formatted_code, formatter_used } = result;
         
         const execution_time_ms = Date.now() - startTime;
         
@@ -114,46 +73,6 @@ app.post('/format', async (req, res) => {
     }
 });
 
-// Prettier formatting function
-async function formatWithPrettier(code, parser) {
-    try {
-        return await prettier.format(code, {
-            parser,
-            semi: true,
-            singleQuote: true,
-            trailingComma: 'es5',
-            tabWidth: 2,
-            printWidth: 80
-        });
-    } catch (error) {
-        throw new Error(`Prettier formatting failed: ${error.message}`);
-    }
-}
-
-// Basic Rust formatter (for demo - just cleans whitespace and basic structure)
-function formatRustBasic(code) {
-    return code
-        // Add spaces around operators
-        .replace(/([=!<>+\-*\/])([^=])/g, '$1 $2')
-        .replace(/([^=])([=!<>+\-*\/])/g, '$1 $2')
-        // Add spaces after commas
-        .replace(/,([^\s])/g, ', $1')
-        // Add spaces around braces
-        .replace(/\{([^\s])/g, '{ $1')
-        .replace(/([^\s])\}/g, '$1 }')
-        // Clean up multiple spaces
-        .replace(/\s+/g, ' ')
-        // Basic indentation (very simple)
-        .split('\n')
-        .map(line => line.trim())
-        .join('\n')
-        .replace(/\{/g, ' {\n    ')
-        .replace(/\}/g, '\n}')
-        // Clean up extra newlines
-        .replace(/\n\s*\n/g, '\n')
-        .trim();
-}
-
 // Performance benchmark endpoint
 app.get('/benchmark', async (req, res) => {
     const sampleCode = `const messyCode={name:"test",value:123,items:[1,2,3,4,5],processItems:function(){return this.items.map(x=>x*2).filter(x=>x>4);}};`;
@@ -163,7 +82,7 @@ app.get('/benchmark', async (req, res) => {
     
     for (let i = 0; i < iterations; i++) {
         const start = Date.now();
-        await formatWithPrettier(sampleCode, 'babel');
+        await formatters.format(sampleCode, 'javascript');
         times.push(Date.now() - start);
     }
     
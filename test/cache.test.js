@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FormatCache = require('../formatters/cache');
+const { sourceVersion } = require('../formatters/version');
+
+const request = {
+    code: 'const a = 1;',
+    language: 'javascript',
+    formatter: 'prettier (babel)',
+    version: '3.8.1',
+    options: { semi: true, tabWidth: 2 }
+};
+
+test('keys depend on everything that changes the output', () => {
+    const cache = new FormatCache();
+    const key = cache.key(request);
+
+    assert.strictEqual(cache.key({ ...request, options: { tabWidth: 2, semi: true } }), key);
+    for (const change of [
+        { code: 'const a = 2;' },
+        { version: '3.8.2' },
+        { options: { semi: false, tabWidth: 2 } },
+        { cursorOffset: 3 },
+        { range: { start: 0, end: 5 } },
+        { lineEndings: 'crlf' }
+    ]) {
+        assert.notStrictEqual(cache.key({ ...request, ...change }), key, JSON.stringify(change));
+    }
+});
+
+test('source versions change with the formatter code', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'version-'));
+    try {
+        const file = path.join(directory, 'formatter.js');
+        fs.writeFileSync(file, 'module.exports = code => code;\n');
+        const before = sourceVersion(file);
+        assert.strictEqual(sourceVersion(file), before);
+
+        fs.writeFileSync(file, 'module.exports = code => code.trim();\n');
+        assert.notStrictEqual(sourceVersion(file), before);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('the least recently used entries are evicted past the entry limit', async () => {
+    const cache = new FormatCache({ maxEntries: 2 });
+    await cache.set('a', 'javascript', { formatted_code: 'a' });
+    await cache.set('b', 'javascript', { formatted_code: 'b' });
+    // Reading `a` makes `b` the oldest
+    assert.deepStrictEqual(await cache.get('a'), { formatted_code: 'a' });
+    await cache.set('c', 'javascript', { formatted_code: 'c' });
+
+    assert.strictEqual(await cache.get('b'), null);
+    assert.ok(await cache.get('a'));
+    assert.ok(await cache.get('c'));
+    assert.strictEqual(cache.counters.evictions, 1);
+});
+
+test('entries are evicted past the memory limit and oversized results are not kept', async () => {
+    const size = JSON.stringify({ formatted_code: 'xxxxxxxxxx' }).length;
+    const cache = new FormatCache({ maxBytes: size * 2 });
+    await cache.set('a', 'css', { formatted_code: 'xxxxxxxxxx' });
+    await cache.set('b', 'css', { formatted_code: 'yyyyyyyyyy' });
+    await cache.set('c', 'css', { formatted_code: 'zzzzzzzzzz' });
+
+    assert.strictEqual(await cache.get('a'), null);
+    assert.strictEqual(cache.bytes, size * 2);
+
+    await cache.set('big', 'css', { formatted_code: 'x'.repeat(size * 3) });
+    assert.strictEqual(await cache.get('big'), null);
+    assert.strictEqual(cache.entries.size, 2);
+});
+
+test('purging one language keeps the others', async () => {
+    const cache = new FormatCache();
+    await cache.set('a', 'css', { formatted_code: 'a' });
+    await cache.set('b', 'rust', { formatted_code: 'b' });
+
+    assert.deepStrictEqual(await cache.purge({ language: 'css' }), { memory_entries_removed: 1, sqlite_entries_removed: 0 });
+    assert.strictEqual(await cache.get('a'), null);
+    assert.ok(await cache.get('b'));
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { IgnoreRules, loadIgnoreRules, expandPatterns, globToRegExp } = require('../cli/files');
+const { batches } = require('../cli/speed-format');
+
+test('ignore rules follow gitignore semantics', () => {
+    const rules = new IgnoreRules().add([
+        '# comment',
+        'dist/',
+        '*.min.js',
+        '!keep.min.js',
+        '/root-only.js',
+        'docs/**/*.md'
+    ].join('\n'));
+
+    assert.strictEqual(rules.ignores('dist', true), true);
+    assert.strictEqual(rules.ignores('dist', false), false);
+    assert.strictEqual(rules.ignores('packages/a/dist/index.js'), true);
+    assert.strictEqual(rules.ignores('src/app.min.js'), true);
+    assert.strictEqual(rules.ignores('src/keep.min.js'), false);
+    assert.strictEqual(rules.ignores('root-only.js'), true);
+    assert.strictEqual(rules.ignores('src/root-only.js'), false);
+    assert.strictEqual(rules.ignores('docs/guide/intro.md'), true);
+    assert.strictEqual(rules.ignores('README.md'), false);
+});
+
+test('globs match within and across path segments', () => {
+    assert.ok(globToRegExp('src/*.js').test('src/a.js'));
+    assert.ok(!globToRegExp('src/*.js').test('src/lib/a.js'));
+    assert.ok(globToRegExp('src/**/*.js').test('src/a.js'));
+    assert.ok(globToRegExp('src/**/*.js').test('src/lib/deep/a.js'));
+    assert.ok(globToRegExp('*.{js,ts}').test('a.ts'));
+    assert.ok(globToRegExp('file[0-9].js').test('file7.js'));
+});
+
+test('patterns expand to files, skipping ignored ones', async () => {
+    const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'speed-format-'));
+    try {
+        for (const file of ['src/a.js', 'src/b.ts', 'src/notes.txt', 'src/gen/out.js', 'node_modules/pkg/index.js', 'build/app.js', 'test/a.test.js']) {
+            await fs.mkdir(path.join(cwd, path.dirname(file)), { recursive: true });
+            await fs.writeFile(path.join(cwd, file), '');
+        }
+        await fs.writeFile(path.join(cwd, '.gitignore'), 'build/\n');
+        await fs.writeFile(path.join(cwd, '.prettierignore'), 'src/gen\n');
+
+        const ignore = await loadIgnoreRules(cwd);
+        const include = file => /\.(js|ts)$/.test(file);
+        const relative = files => files.map(file => path.relative(cwd, file.path).split(path.sep).join('/'));
+
+        const all = await expandPatterns(['.'], { cwd, ignore, include });
+        assert.deepStrictEqual(relative(all.files), ['src/a.js', 'src/b.ts', 'test/a.test.js']);
+
+        const globbed = await expandPatterns(['src/**/*.js', 'build/app.js', '!test/**', 'test/*.js', 'missing/*.js'], { cwd, ignore, include });
+        assert.deepStrictEqual(relative(globbed.files), ['src/a.js']);
+        // Ignored files are skipped quietly, even when named
+        assert.deepStrictEqual(globbed.unmatched, ['missing/*.js']);
+
+        // Named files are kept for the caller to report, even without a known extension
+        const named = await expandPatterns(['src/notes.txt'], { cwd, ignore, include });
+        assert.deepStrictEqual(named.files.map(file => file.explicit), [true]);
+    } finally {
+        await fs.rm(cwd, { recursive: true, force: true });
+    }
+});
+
+test('batches are sized by their JSON encoding', () => {
+    // Quotes and newlines double in size once escaped
+    const code = '"\n'.repeat(100);
+    const files = Array.from({ length: 4 }, (_, i) => ({ path: `f${i}.js`, language: 'javascript', code, file: `/abs/f${i}.js` }));
+    const entrySize = Buffer.byteLength(JSON.stringify({ path: 'f0.js', language: 'javascript', code }));
+    assert.ok(entrySize > 2 * Buffer.byteLength(code));
+
+    const groups = batches(files, { maxBytes: entrySize * 2 });
+    assert.deepStrictEqual(groups.map(group => group.length), [2, 2]);
+    assert.deepStrictEqual(batches(files, { maxFiles: 3 }).map(group => group.length), [3, 1]);
+
+    // A file bigger than the limit still goes, on its own
+    assert.deepStrictEqual(batches(files, { maxBytes: 10 }).map(group => group.length), [1, 1, 1, 1]);
+});
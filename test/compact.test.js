@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCompactFormatter } = require('../formatters/compact');
+
+const compact = createCompactFormatter('babel');
+
+test('template literals with empty and non-empty chunks', async () => {
+    const cases = [
+        ['x = `${c}`', 'x=`${c}`'],
+        ['x = `a ${b}`', 'x=`a ${b}`'],
+        ['x = `${a} and ${b} `', 'x=`${a} and ${b} `'],
+        ['x = `${a}${b}`', 'x=`${a}${b}`'],
+        ['x = tag`${ a + 1 }`', 'x=tag`${a+1}`']
+    ];
+    for (const [input, expected] of cases) {
+        assert.strictEqual((await compact.format(input)).formatted, expected);
+    }
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const prettier = require('prettier');
+const { ConfigError, resolveConfigOptions } = require('../formatters/config');
+
+const prettierrc = JSON.stringify({
+    semi: false,
+    overrides: [
+        { files: '*.ts', options: { singleQuote: true } },
+        { files: 'legacy/**/*.js', options: { semi: true, tabWidth: 8 } }
+    ]
+});
+const editorconfig = `
+[*]
+indent_style = tab
+max_line_length = 100
+
+[*.md]
+indent_style = space
+indent_size = 3
+`;
+
+// What Prettier itself resolves in a checkout holding the same files
+async function resolveInCheckout(files, filenames) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'checkout-'));
+    try {
+        for (const [name, content] of Object.entries(files)) {
+            await fs.writeFile(path.join(directory, name), content);
+        }
+        const results = [];
+        for (const filename of filenames) {
+            results.push(await prettier.resolveConfig(path.join(directory, filename), { editorconfig: true, useCache: false }) || {});
+        }
+        return results;
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+test('options resolve as Prettier resolves them in a checkout', async () => {
+    const filenames = ['src/index.js', 'src/types.ts', 'legacy/old/file.js', 'README.md'];
+    const resolved = await resolveConfigOptions({ prettierrc, editorconfig }, filenames);
+    const expected = await resolveInCheckout({ '.prettierrc': prettierrc, '.editorconfig': `root = true\n${editorconfig}` }, filenames);
+
+    assert.deepStrictEqual(resolved.map(result => result.options), expected);
+});
+
+test('overrides and editorconfig sections apply per path', async () => {
+    const [js, ts, legacy, markdown] = await resolveConfigOptions({ prettierrc, editorconfig },
+        ['src/index.js', 'src/types.ts', 'legacy/old/file.js', 'README.md']);
+
+    assert.deepStrictEqual(js.options, { semi: false, useTabs: true, printWidth: 100 });
+    assert.strictEqual(ts.options.singleQuote, true);
+    assert.deepStrictEqual({ semi: legacy.options.semi, tabWidth: legacy.options.tabWidth }, { semi: true, tabWidth: 8 });
+    assert.deepStrictEqual({ useTabs: markdown.options.useTabs, tabWidth: markdown.options.tabWidth }, { useTabs: false, tabWidth: 3 });
+});
+
+test('.prettierrc may be YAML, and its options win over .editorconfig', async () => {
+    const [{ options }] = await resolveConfigOptions({
+        prettierrc: 'useTabs: false\nprintWidth: 120\n',
+        editorconfig: '[*]\nindent_style = tab\n'
+    }, ['a.js']);
+
+    assert.deepStrictEqual(options, { useTabs: false, printWidth: 120 });
+});
+
+test('paths are kept inside the config directory', async () => {
+    const [outside, inside] = await resolveConfigOptions({ prettierrc }, ['../../legacy/x/file.js', 'legacy/x/file.js']);
+    assert.deepStrictEqual(outside, inside);
+});
+
+test('options the service does not support are reported as ignored', async () => {
+    const [result] = await resolveConfigOptions({ prettierrc: '{"semi": false, "plugins": ["x"], "parser": "flow"}' }, ['a.js']);
+    assert.deepStrictEqual(result, { options: { semi: false }, ignored: ['plugins', 'parser'] });
+});
+
+test('invalid and shared configs are rejected', async () => {
+    await assert.rejects(resolveConfigOptions({ prettierrc: '"@company/prettier-config"' }, ['a.js']), ConfigError);
+    await assert.rejects(resolveConfigOptions({ prettierrc: '{"semi": "no"}' }, ['a.js']), /Invalid options in config/);
+    await assert.rejects(resolveConfigOptions({ prettierrc: '{ semi: [' }, ['a.js']), ConfigError);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectLanguage } = require('../formatters/detect');
+
+test('extensions win, longest suffix first', () => {
+    assert.strictEqual(detectLanguage({ filename: 'src/app.ts', code: 'const a = 1' }).language, 'typescript');
+    assert.strictEqual(detectLanguage({ filename: 'app.component.html', code: '<div></div>' }).language, 'angular');
+});
+
+test('.prettierrc is JSON or YAML depending on its content', () => {
+    assert.deepStrictEqual(detectLanguage({ filename: '.prettierrc', code: '{ "semi": false }' }),
+        { language: 'json', confidence: 0.9, source: 'filename' });
+    assert.deepStrictEqual(detectLanguage({ filename: '.prettierrc', code: 'semi: false\ntabWidth: 4\n' }),
+        { language: 'yaml', confidence: 0.8, source: 'filename' });
+});
+
+test('filename matches are held to the minimum confidence', () => {
+    // Looks like JSON but doesn't parse, so it is only a guess
+    const code = '{ semi: false, }';
+    assert.strictEqual(detectLanguage({ filename: '.babelrc', code }).language, 'json');
+    const strict = detectLanguage({ filename: '.babelrc', code }, { minConfidence: 0.7 });
+    assert.strictEqual(strict.language, null);
+    assert.strictEqual(strict.confidence, 0.6);
+});
+
+test('content is used without a filename', () => {
+    assert.strictEqual(detectLanguage({ code: '{"a": 1}' }).language, 'json');
+    assert.strictEqual(detectLanguage({ code: 'fn main() {\n    let mut x = 1;\n}' }).language, 'rust');
+    assert.strictEqual(detectLanguage({ code: 'hello' }).language, null);
+});
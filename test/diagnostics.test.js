@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FormatSyntaxError, toDiagnostics } = require('../formatters/diagnostics');
+
+const error = new FormatSyntaxError('Unexpected token', { start: { line: 1, column: 7 } });
+
+test('diagnostics point at the reported position', () => {
+    const [diagnostic] = toDiagnostics(error, '{"a": }\n');
+
+    assert.strictEqual(diagnostic.line, 1);
+    assert.strictEqual(diagnostic.column, 7);
+    assert.strictEqual(diagnostic.code_frame, [
+        '> 1 | {"a": }',
+        '    |       ^',
+        '  2 |'
+    ].join('\n'));
+});
+
+test('a byte order mark does not shift the first line of the code frame', () => {
+    assert.deepStrictEqual(toDiagnostics(error, '\uFEFF{"a": }\n'), toDiagnostics(error, '{"a": }\n'));
+});
+
+test('code frames follow the line breaks of CR and CRLF input', () => {
+    const secondLine = new FormatSyntaxError('Unexpected token', { start: { line: 2, column: 7 } });
+    const expected = toDiagnostics(secondLine, 'let a;\n{"a": }\nlet b;\n');
+
+    assert.match(expected[0].code_frame, /> 2 \| \{"a": \}\n {4}\| {7}\^/);
+    for (const code of ['\uFEFFlet a;\r\n{"a": }\r\nlet b;\r\n', 'let a;\r{"a": }\rlet b;\r']) {
+        assert.deepStrictEqual(toDiagnostics(secondLine, code), expected, JSON.stringify(code));
+    }
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareFormatting } = require('../formatters/diff');
+
+test('reports a unified diff and line counts', () => {
+    const result = compareFormatting('a\nb\nc\n', 'a\nB\nc\n', 'file.js');
+
+    assert.strictEqual(result.formatted, false);
+    assert.strictEqual(result.lines_added, 1);
+    assert.strictEqual(result.lines_removed, 1);
+    assert.match(result.diff, /^--- a\/file\.js\n\+\+\+ b\/file\.js\n/);
+});
+
+test('gives up on a diff that takes too long', () => {
+    const original = Array.from({ length: 2000 }, (_, i) => `line ${i}`).join('\n');
+    const formatted = Array.from({ length: 2000 }, (_, i) => `LINE ${i};`).join('\n');
+
+    const result = compareFormatting(original, formatted, 'file.js', { timeoutMs: 1 });
+    assert.deepStrictEqual(result, {
+        formatted: false,
+        diff: null,
+        too_many_changes: true,
+        changed_lines: null,
+        lines_added: null,
+        lines_removed: null
+    });
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LiveSession } = require('../live/session');
+
+// Session whose formats finish when the test says so
+function createSession({ maxDocuments = 5 } = {}) {
+    const events = [];
+    const usage = [];
+    const running = [];
+    let active = 0;
+    let maxActive = 0;
+
+    const session = new LiveSession({
+        user: { id: 1 },
+        maxDocuments,
+        format: payload => new Promise(resolve => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            running.push(() => {
+                active--;
+                resolve({ type: 'result', data: { formatted_code: payload.code.toUpperCase() }, usage: { input_length: payload.code.length } });
+            });
+        }),
+        record: async entry => usage.push(entry),
+        send: (type, data) => events.push({ type, ...data })
+    });
+
+    // Finish the running format and let the session pick up the next one
+    const finish = async () => {
+        running.shift()();
+        await new Promise(resolve => setImmediate(resolve));
+    };
+    return { session, events, usage, finish, maxActive: () => maxActive };
+}
+
+test('only the newest waiting revision of a document is formatted', async () => {
+    const { session, events, usage, finish } = createSession();
+
+    assert.strictEqual(session.submit({ revision: 1, code: 'a' }).status, 202);
+    session.submit({ revision: 2, code: 'b' });
+    session.submit({ revision: 3, code: 'c' });
+    await finish();
+    await finish();
+
+    assert.deepStrictEqual(events, [
+        { type: 'dropped', document: 'default', revision: 2, reason: 'superseded' },
+        { type: 'dropped', document: 'default', revision: 1, reason: 'superseded' },
+        { type: 'result', document: 'default', revision: 3, formatted_code: 'C' }
+    ]);
+    // Dropped results aren't billed
+    assert.deepStrictEqual(usage, [{ input_length: 1 }]);
+});
+
+test('revisions that are not newer are rejected with 409', () => {
+    const { session } = createSession();
+
+    session.submit({ revision: 5, code: 'a' });
+    const stale = session.submit({ revision: 5, code: 'b' });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.error, 'Stale revision');
+    assert.strictEqual(session.submit({ revision: 4, code: 'c' }).status, 409);
+
+    // Revisions are counted per document
+    assert.strictEqual(session.submit({ revision: 1, code: 'd', document: 'other.js' }).status, 202);
+});
+
+test('documents are formatted one at a time, in the order they arrived', async () => {
+    const { session, events, finish, maxActive } = createSession();
+
+    session.submit({ revision: 1, code: 'a', document: 'a.js' });
+    session.submit({ revision: 1, code: 'b', document: 'b.js' });
+    session.submit({ revision: 1, code: 'c', document: 'c.js' });
+    await finish();
+    await finish();
+    await finish();
+
+    assert.strictEqual(maxActive(), 1);
+    assert.deepStrictEqual(events.map(event => event.document), ['a.js', 'b.js', 'c.js']);
+});
+
+test('a session takes a limited number of documents', () => {
+    const { session } = createSession({ maxDocuments: 2 });
+
+    session.submit({ revision: 1, code: 'a', document: 'a.js' });
+    session.submit({ revision: 1, code: 'b', document: 'b.js' });
+    const rejected = session.submit({ revision: 1, code: 'c', document: 'c.js' });
+    assert.strictEqual(rejected.status, 429);
+    assert.strictEqual(rejected.body.error, 'Too many documents');
+
+    // Documents already in the session keep taking revisions
+    assert.strictEqual(session.submit({ revision: 2, code: 'a', document: 'a.js' }).status, 202);
+});
+
+test('revisions need the session token', () => {
+    const { session } = createSession();
+
+    assert.strictEqual(session.authenticate(session.token), true);
+    assert.strictEqual(session.authenticate(`${session.token}x`), false);
+    assert.strictEqual(session.authenticate(undefined), false);
+});
+
+test('nothing is sent once the session is closed', async () => {
+    const { session, events, usage, finish } = createSession();
+
+    session.submit({ revision: 1, code: 'a' });
+    session.close();
+    await finish();
+
+    assert.deepStrictEqual(events, []);
+    assert.deepStrictEqual(usage, []);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SpeedFormatterLanguageServer, minimalEdits } = require('../lsp/server');
+const { ResponseError, ErrorCodes } = require('../lsp/connection');
+
+// Records handlers and notifications instead of speaking over stdio
+function createConnection() {
+    const requests = new Map();
+    const notifications = new Map();
+    return {
+        sent: [],
+        onRequest: (method, handler) => requests.set(method, handler),
+        onNotification: (method, handler) => notifications.set(method, handler),
+        sendNotification(method, params) {
+            this.sent.push({ method, params });
+        },
+        request: (method, params) => requests.get(method)(params, { signal: new AbortController().signal }),
+        notify: (method, params) => notifications.get(method)(params)
+    };
+}
+
+function createServer(format) {
+    const connection = createConnection();
+    const server = new SpeedFormatterLanguageServer(connection);
+    server.client = { format };
+    connection.notify('textDocument/didOpen', {
+        textDocument: { uri: 'file:///project/a.js', languageId: 'javascript', version: 1, text: 'a  =  1\nb = 2\n' }
+    });
+    return connection;
+}
+
+const formatting = { textDocument: { uri: 'file:///project/a.js' }, options: { tabSize: 4, insertSpaces: true } };
+
+test('edits replace only the changed text', () => {
+    assert.deepStrictEqual(minimalEdits('a  =  1\nb = 2\n', 'a = 1\nb = 2\n'), [{
+        range: { start: { line: 0, character: 2 }, end: { line: 0, character: 5 } },
+        newText: '='
+    }]);
+    assert.deepStrictEqual(minimalEdits('same', 'same'), []);
+});
+
+test('formatting returns edits for the document as sent', async () => {
+    const connection = createServer(async body => {
+        assert.strictEqual(body.filename, 'a.js');
+        assert.deepStrictEqual(body.options, { tabWidth: 4, useTabs: false });
+        return { formatted_code: 'a = 1;\nb = 2;\n' };
+    });
+
+    const edits = await connection.request('textDocument/formatting', formatting);
+    assert.strictEqual(edits.length, 1);
+});
+
+test('no edits are returned for a document changed while it was formatted', async () => {
+    let connection;
+    connection = createServer(async () => {
+        connection.notify('textDocument/didChange', {
+            textDocument: { uri: 'file:///project/a.js', version: 2 },
+            contentChanges: [{ text: 'const c = 3\n' }]
+        });
+        return { formatted_code: 'a = 1;\nb = 2;\n' };
+    });
+
+    await assert.rejects(connection.request('textDocument/formatting', formatting), error =>
+        error instanceof ResponseError && error.code === ErrorCodes.ContentModified);
+});
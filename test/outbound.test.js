@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isBlockedAddress, publicLookup, postJson } = require('../webhooks/outbound');
+
+test('internal addresses are blocked', () => {
+    const internal = [
+        '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'
+    ];
+    for (const address of internal) {
+        assert.strictEqual(isBlockedAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+        assert.strictEqual(isBlockedAddress(address), false, address);
+    }
+});
+
+test('IPv4 addresses embedded in IPv6 ones are checked against the IPv4 list', () => {
+    for (const address of ['::127.0.0.1', '::7f00:1', '::10.0.0.1', '2002:7f00:1::', '2002:a9fe:a9fe::1', '2002:c0a8:101::']) {
+        assert.strictEqual(isBlockedAddress(address), true, address);
+    }
+    for (const address of ['::8.8.8.8', '2002:808:808::1']) {
+        assert.strictEqual(isBlockedAddress(address), false, address);
+    }
+});
+
+test('requests to internal hosts are refused', async () => {
+    for (const url of ['http://localhost/', 'http://127.0.0.1/', 'http://[::1]/', 'http://169.254.169.254/latest/meta-data']) {
+        await assert.rejects(postJson(url, '{}', { timeoutMs: 1000 }), { name: 'OutboundRequestError' }, url);
+    }
+});
+
+test('hostnames are checked against the address they resolve to', async () => {
+    const lookup = hostname => new Promise((resolve, reject) => {
+        publicLookup(hostname, {}, (error, address) => (error ? reject(error) : resolve(address)));
+    });
+    await assert.rejects(lookup('localhost'), {
+        name: 'OutboundRequestError',
+        message: /resolves to a local or private network address/
+    });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const FormatterRegistry = require('../formatters/registry');
+const { loadPlugins } = require('../formatters/plugins');
+
+function pluginSource(languages) {
+    return `module.exports = {
+    languages: ${JSON.stringify(languages)},
+    parsers: { toy: { parse: text => ({ text }), astFormat: 'toy', locStart: () => 0, locEnd: () => 0 } },
+    printers: { toy: { print: path => path.getValue().text } }
+};
+`;
+}
+
+test('a plugin that fails partway registers none of its languages', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'plugins-'));
+    try {
+        await fs.writeFile(path.join(directory, 'broken.js'), pluginSource([
+            { name: 'Toy', parsers: ['toy'], extensions: ['.toy'] },
+            { name: 'Other Toy', parsers: ['toy'], extensions: [42] }
+        ]));
+        await fs.writeFile(path.join(directory, 'working.js'), pluginSource([
+            { name: 'Working Toy', parsers: ['toy'], aliases: ['wt', 'WT'], extensions: ['.wtoy', '.WTOY'] },
+            { name: 'Second Toy', parsers: ['toy'], aliases: ['wt'], extensions: ['.wtoy'] }
+        ]));
+
+        const registry = new FormatterRegistry();
+        const reports = await loadPlugins(registry, directory, { quiet: true });
+
+        assert.deepStrictEqual(reports.map(({ name, status }) => [name, status]), [['broken', 'failed'], ['working', 'loaded']]);
+        assert.strictEqual(registry.has('toy'), false);
+        assert.strictEqual(registry.forExtension('.toy'), null);
+
+        // Names and extensions a plugin's earlier language took are skipped, not an error
+        assert.deepStrictEqual(reports[1].languages, ['working-toy', 'second-toy']);
+        assert.strictEqual(registry.get('wt').language, 'working-toy');
+        assert.deepStrictEqual(registry.get('second-toy').extensions, []);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+});
+
+test('registerAll removes the formatters it added when one is rejected', () => {
+    const registry = new FormatterRegistry();
+    const format = async code => ({ formatted: code });
+    registry.register({ language: 'taken', format });
+
+    assert.throws(() => registry.registerAll([
+        { language: 'first', aliases: ['one'], extensions: ['.first'], format },
+        { language: 'second', aliases: ['taken'], format }
+    ]), /already registered/);
+
+    assert.deepStrictEqual(registry.languages(), ['taken']);
+    assert.strictEqual(registry.has('one'), false);
+    assert.strictEqual(registry.forExtension('.first'), null);
+});
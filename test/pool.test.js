@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { FormatterPool, FormatTimeoutError, FormatQueueFullError, FormatCancelledError } = require('../formatters/pool');
+
+test('jobs beyond the queue limit are rejected, queued ones still run', async () => {
+    const pool = new FormatterPool({ size: 1, maxQueue: 1 });
+    try {
+        const running = pool.format('a  =  1', 'javascript');
+        const queued = pool.format('b  =  2', 'javascript');
+        await assert.rejects(pool.format('c  =  3', 'javascript'), FormatQueueFullError);
+
+        assert.strictEqual((await running).formatted_code, 'a = 1;');
+        assert.strictEqual((await queued).formatted_code, 'b = 2;');
+        assert.deepStrictEqual(
+            { completed: pool.stats().completed, rejected: pool.stats().rejected, queued: pool.stats().queued },
+            { completed: 2, rejected: 1, queued: 0 }
+        );
+    } finally {
+        await pool.close();
+    }
+});
+
+test('a job that runs too long times out and its worker is replaced', async () => {
+    // A fresh worker can't even load the formatters in 1ms
+    const pool = new FormatterPool({ size: 1, timeoutMs: 1 });
+    try {
+        await assert.rejects(pool.format('a  =  1', 'javascript'), FormatTimeoutError);
+        assert.strictEqual(pool.stats().timed_out, 1);
+        assert.strictEqual(pool.stats().workers, 0);
+
+        pool.timeoutMs = 30000;
+        assert.strictEqual((await pool.format('a  =  1', 'javascript')).formatted_code, 'a = 1;');
+    } finally {
+        await pool.close();
+    }
+});
+
+test('cancelled jobs are rejected whether queued or running', async () => {
+    const pool = new FormatterPool({ size: 1 });
+    try {
+        const runningController = new AbortController();
+        const queuedController = new AbortController();
+        const running = pool.format('a  =  1', 'javascript', {}, { signal: runningController.signal });
+        const queued = pool.format('b  =  2', 'javascript', {}, { signal: queuedController.signal });
+
+        queuedController.abort();
+        await assert.rejects(queued, FormatCancelledError);
+        runningController.abort();
+        await assert.rejects(running, FormatCancelledError);
+
+        assert.strictEqual(pool.stats().cancelled, 2);
+        await assert.rejects(pool.format('c', 'javascript', {}, { signal: AbortSignal.abort() }), FormatCancelledError);
+    } finally {
+        await pool.close();
+    }
+});
+
+test('syntax errors come back with their location', async () => {
+    const pool = new FormatterPool({ size: 1 });
+    try {
+        const error = await pool.format('let = ;', 'javascript').catch(error => error);
+        assert.strictEqual(error.name, 'FormatSyntaxError');
+        assert.strictEqual(error.loc.start.line, 1);
+    } finally {
+        await pool.close();
+    }
+});
+
+test('diffs are computed on a worker', async () => {
+    const pool = new FormatterPool({ size: 1 });
+    try {
+        const comparison = await pool.compare('a\n', 'b\n', 'file.txt');
+        assert.strictEqual(comparison.formatted, false);
+        assert.strictEqual(comparison.lines_added, 1);
+        assert.strictEqual(pool.stats().completed, 1);
+
+        // Identical text needs no worker
+        assert.strictEqual((await pool.compare('a\n', 'a\n', 'file.txt')).formatted, true);
+        assert.strictEqual(pool.stats().completed, 1);
+    } finally {
+        await pool.close();
+    }
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatRust } = require('../formatters/rust');
+
+test('nested generics closed by >> and >>=', () => {
+    const cases = [
+        ['fn f() -> Vec<Vec<Option<i32>>> { v }', 'fn f() -> Vec<Vec<Option<i32>>> {\n    v\n}\n'],
+        ['struct S { a: Vec<Vec<Vec<u8>>> }', 'struct S {\n    a: Vec<Vec<Vec<u8>>>,\n}\n'],
+        ['fn g() { let a: A<B<C<D>>> = x; }', 'fn g() {\n    let a: A<B<C<D>>> = x;\n}\n'],
+        ['fn h() { let a: A<B<C<D<E>>>> = x; }', 'fn h() {\n    let a: A<B<C<D<E>>>> = x;\n}\n'],
+        ['fn k() { let m: Map<K, Vec<Vec<u8>>>= Map::new(); }', 'fn k() {\n    let m: Map<K, Vec<Vec<u8>>> = Map::new();\n}\n']
+    ];
+    for (const [input, expected] of cases) {
+        assert.strictEqual(formatRust(input), expected);
+    }
+});
+
+test('shifts and comparisons stay operators', () => {
+    assert.strictEqual(
+        formatRust('fn s() { let x = a >> 2; x >>= 1; if a < b && c >= d { } }'),
+        'fn s() {\n    let x = a >> 2;\n    x >>= 1;\n    if a < b && c >= d {}\n}\n'
+    );
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('../database/init');
+const User = require('../models/User');
+
+test('concurrent increments report each usage threshold once', async t => {
+    // Keep the connection message out of the test runner's output
+    t.mock.method(console, 'log', () => {});
+    const db = new Database(':memory:');
+    await db.connect();
+    try {
+        await db.run('CREATE TABLE subscriptions (user_id INTEGER, plan_type TEXT, status TEXT, monthly_limit INTEGER, current_usage INTEGER)');
+        await db.run('INSERT INTO subscriptions VALUES (1, "free", "active", 100, 78)');
+
+        const users = new User(db);
+        const events = [];
+        users.on('account_event', event => events.push(event.data.threshold_percent));
+
+        await Promise.all([users.incrementUsage(1), users.incrementUsage(1), users.incrementUsage(1)]);
+        assert.deepStrictEqual(events, [80]);
+
+        await Promise.all([users.incrementUsage(1, 10), users.incrementUsage(1, 10)]);
+        assert.deepStrictEqual(events, [80, 100]);
+    } finally {
+        await new Promise(resolve => db.db.close(resolve));
+    }
+});
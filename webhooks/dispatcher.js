@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { postJson } = require('./outbound');
+
+// Account events webhooks can subscribe to. Models emit them as
+// 'account_event' ({ user_id, type, data }).
+const WEBHOOK_EVENTS = [
+    'usage.threshold_reached',
+    'api_key.created',
+    'api_key.deactivated',
+    'api_key.deleted',
+    'user.plan_changed'
+];
+
+// Receivers recompute this with their webhook secret to check a delivery
+function signPayload(secret, timestamp, payload) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+// Turns account events into signed webhook deliveries. Failed deliveries are
+// retried with exponential backoff, every attempt is kept in the delivery log.
+class WebhookDispatcher {
+    constructor(webhookModel, { maxAttempts = 6, retryBaseMs = 30 * 1000, timeoutMs = 10 * 1000 } = {}) {
+        this.webhookModel = webhookModel;
+        this.maxAttempts = maxAttempts;
+        this.retryBaseMs = retryBaseMs;
+        this.timeoutMs = timeoutMs;
+    }
+
+    // Deliver the account events a model emits
+    listen(model) {
+        model.on('account_event', event => {
+            this.dispatch(event).catch(error => console.error('Webhook dispatch error:', error.message));
+        });
+        return this;
+    }
+
+    async dispatch({ user_id, type, data }) {
+        const webhooks = await this.webhookModel.findSubscribed(user_id, type);
+        if (webhooks.length === 0) return [];
+
+        const event = { id: uuidv4(), type, created_at: new Date().toISOString(), data };
+        const payload = JSON.stringify(event);
+
+        const deliveries = [];
+        for (const webhook of webhooks) {
+            const delivery = await this.webhookModel.createDelivery(webhook.id, { event_id: event.id, event: type, payload });
+            this.schedule(delivery.id, 0);
+            deliveries.push(delivery);
+        }
+        return deliveries;
+    }
+
+    // A new delivery of an earlier delivery's event, with the same payload
+    async redeliver(delivery) {
+        const copy = await this.webhookModel.createDelivery(delivery.webhook_id, {
+            event_id: delivery.event_id,
+            event: delivery.event,
+            payload: delivery.payload,
+            redelivery_of: delivery.id
+        });
+        this.schedule(copy.id, 0);
+        return copy;
+    }
+
+    schedule(deliveryId, delayMs) {
+        setTimeout(() => {
+            this.attempt(deliveryId).catch(error => console.error('Webhook delivery error:', error.message));
+        }, delayMs).unref();
+    }
+
+    async attempt(deliveryId) {
+        const delivery = await this.webhookModel.findDelivery(deliveryId);
+        if (!delivery || delivery.status !== 'pending') return;
+
+        const webhook = await this.webhookModel.findForDispatch(delivery.webhook_id);
+        if (!webhook?.is_active) {
+            await this.webhookModel.recordAttempt(deliveryId, {
+                status: 'failed',
+                attempts: delivery.attempts,
+                error: 'Webhook is disabled'
+            });
+            return;
+        }
+
+        const attempts = delivery.attempts + 1;
+        const timestamp = Math.floor(Date.now() / 1000);
+        let outcome;
+        try {
+            // Only the status is kept, response bodies could expose whatever the URL reaches
+            const response = await postJson(webhook.url, delivery.payload, {
+                headers: {
+                    'user-agent': 'speed-formatter-webhooks',
+                    'x-speed-formatter-event': delivery.event,
+                    'x-speed-formatter-delivery': delivery.uuid,
+                    'x-speed-formatter-signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, delivery.payload)}`
+                },
+                timeoutMs: this.timeoutMs
+            });
+            outcome = {
+                response_status: response.status,
+                error: response.ok ? null : `Endpoint responded with HTTP ${response.status}`
+            };
+        } catch (error) {
+            outcome = { error: error.message };
+        }
+
+        if (!outcome.error) {
+            await this.webhookModel.recordAttempt(deliveryId, { ...outcome, status: 'delivered', attempts });
+        } else if (attempts >= this.maxAttempts) {
+            console.warn(`⚠️  Webhook delivery ${delivery.uuid} failed after ${attempts} attempts: ${outcome.error}`);
+            await this.webhookModel.recordAttempt(deliveryId, { ...outcome, status: 'failed', attempts });
+        } else {
+            const delayMs = this.retryBaseMs * 2 ** (attempts - 1);
+            await this.webhookModel.recordAttempt(deliveryId, {
+                ...outcome,
+                status: 'pending',
+                attempts,
+                retry_in_seconds: Math.ceil(delayMs / 1000)
+            });
+            this.schedule(deliveryId, delayMs);
+        }
+    }
+
+    // Reschedule deliveries that were waiting when the server stopped
+    async resume() {
+        const pending = await this.webhookModel.findPendingDeliveries();
+        for (const delivery of pending) {
+            const due = delivery.next_attempt_at ? Date.parse(`${delivery.next_attempt_at.replace(' ', 'T')}Z`) : Date.now();
+            this.schedule(delivery.id, Math.max(0, due - Date.now()));
+        }
+        return pending.length;
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WebhookDispatcher,
+    signPayload
+};
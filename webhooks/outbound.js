@@ -0,0 +1,162 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { body } = require('express-validator');
+
+// Requests the server makes to user-supplied URLs (webhooks, job callbacks).
+// They must never reach loopback, private, link-local or other internal
+// addresses, whatever the hostname resolves to when the request is made.
+
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10], // carrier-grade NAT
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16], // link-local, cloud metadata
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4], // multicast
+    ['240.0.0.0', 4] // reserved and broadcast
+]) {
+    blockedAddresses.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 128],
+    ['::1', 128],
+    ['64:ff9b::', 96], // NAT64
+    ['fc00::', 7], // unique local
+    ['fe80::', 10], // link-local
+    ['ff00::', 8] // multicast
+]) {
+    blockedAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+class OutboundRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OutboundRequestError';
+    }
+}
+
+// The eight 16-bit groups of an IPv6 address
+function ipv6Groups(address) {
+    let text = address.split('%')[0].toLowerCase();
+    // A trailing dotted quad stands for the last two groups
+    const quad = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (quad) {
+        const [a, b, c, d] = quad.slice(1).map(Number);
+        text = `${text.slice(0, quad.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+    return [...headGroups, ...Array(missing).fill('0'), ...tailGroups].map(group => parseInt(group, 16));
+}
+
+// IPv4 address carried inside an IPv6 one: IPv4-compatible (::a.b.c.d),
+// IPv4-mapped (::ffff:a.b.c.d) and 6to4 (2002:aabb:ccdd::/48)
+function embeddedIPv4(address) {
+    const groups = ipv6Groups(address);
+    const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+
+    if (groups[0] === 0x2002) return toIPv4(groups[1], groups[2]);
+    if (groups.slice(0, 5).every(group => group === 0) && (groups[5] === 0 || groups[5] === 0xffff)) {
+        return toIPv4(groups[6], groups[7]);
+    }
+    return null;
+}
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return true;
+    if (family === 4) return blockedAddresses.check(address, 'ipv4');
+
+    const ipv4 = embeddedIPv4(address);
+    return blockedAddresses.check(address, 'ipv6') || (ipv4 !== null && blockedAddresses.check(ipv4, 'ipv4'));
+}
+
+// What can be rejected without DNS: local names and internal IP literals
+function isBlockedHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost')) return true;
+    return net.isIP(host) ? isBlockedAddress(host) : false;
+}
+
+function isAllowedUrl(url) {
+    try {
+        return !isBlockedHost(new URL(url).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// express-validator chain for a URL the server will POST to
+function outboundUrlValidator(field, { optional = false } = {}) {
+    const chain = optional ? body(field).optional() : body(field);
+    return chain
+        .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+        .withMessage('URL must be an http or https URL')
+        .bail()
+        .custom(isAllowedUrl)
+        .withMessage('URL must not point to a local or private network address');
+}
+
+// Resolve like the socket would, but refuse internal addresses. Runs when the
+// connection is made, so a hostname can't pass a check and then rebind.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(new OutboundRequestError(`${hostname} resolves to a local or private network address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// POST a JSON body and report the response status. Redirects are not
+// followed and the response body is discarded.
+function postJson(url, payload, { headers = {}, timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        if (isBlockedHost(target.hostname)) {
+            return reject(new OutboundRequestError(`${target.hostname} is a local or private network address`));
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.request(target, {
+            method: 'POST',
+            headers: {
+                ...headers,
+                'content-type': 'application/json',
+                'content-length': Buffer.byteLength(payload)
+            },
+            lookup: publicLookup,
+            timeout: timeoutMs
+        }, response => {
+            response.resume();
+            resolve({
+                status: response.statusCode,
+                ok: response.statusCode >= 200 && response.statusCode < 300
+            });
+        });
+
+        request.on('timeout', () => request.destroy(new OutboundRequestError(`No response within ${timeoutMs}ms`)));
+        request.on('error', reject);
+        request.end(payload);
+    });
+}
+
+module.exports = {
+    OutboundRequestError,
+    isBlockedAddress,
+    outboundUrlValidator,
+    publicLookup,
+    postJson
+};